@@ -12,19 +12,49 @@ const chalk = require('chalk');
 const inquirer = require('inquirer');
 const figlet = require('figlet');
 const ora = require('ora');
-const { setConfig, getApiKey, getConfig } = require('../lib/config');
+const {
+  DEFAULT_ACCOUNT,
+  isEncrypted,
+  resolveAccountName,
+  listAccounts,
+  getAccount,
+  findAccount,
+  getDefaultModel,
+  saveAccount,
+  removeAccount,
+} = require('../lib/config');
 const { loadProjectConfig } = require('../lib/projectConfig');
-const { addReview } = require('../lib/database');
-const { performReview } = require('../lib/reviewer');
+const { addReview, getHistory, getFindings } = require('../lib/database');
+const {
+  formatHistoryTable,
+  historyToCsv,
+  historyToJson,
+  formatTrends,
+  formatFindingsTable,
+  findingsToCsv,
+  findingsToJson,
+} = require('../lib/historyReport');
+const { performReview, estimateReview } = require('../lib/reviewer');
+const { formatEstimate, formatUsage } = require('../lib/usage');
+const { clearCache, getCacheStats } = require('../lib/cache');
+const { publishGitHubReview } = require('../lib/github');
+const { EXIT_CODES, resolveGateConfig, evaluateGate } = require('../lib/gate');
+const { resolveFindingFilter, applyFindingFilter } = require('../lib/findingFilter');
+const { createProvider, getProviderName, listProviders } = require('../lib/providers');
 const { getCodeContent } = require('../lib/scanner');
-const { getChangedFiles, getBlameForFile } = require('../lib/git');
+const { getChangedFiles, getBlameForFile, getCommitInfo } = require('../lib/git');
 const { printMarkdownReport, generateMarkdownReport } = require('../lib/markdownReport');
+const { generateSarifReport } = require('../lib/sarifReport');
+const { generateInlineReport, printInlineReport } = require('../lib/inlineReport');
+const { BASELINE_FILE, createBaseline, writeBaseline, loadBaseline, applyBaseline } = require('../lib/baseline');
+const { planFixes, findOverlap, applyEdits, buildHunks, createPatch, writeFixedFile } = require('../lib/fixer');
+const { DEFAULT_CONTEXT_BUDGET } = require('../lib/projectContext');
+const { STATIC_ANALYSIS_MODEL } = require('../lib/staticAnalysis');
 const fs = require('fs');
 const path = require('path');
 
 const program = new Command();
-const config = getConfig();
-const defaultModel = config.provider === 'google' ? 'gemini-1.5-pro-latest' : 'gpt-4o';
+const defaultModel = getDefaultModel();
 
 // Define the main program
 program
@@ -38,21 +68,160 @@ program.command('review')
   .option('--path <path>', 'Path to a directory to scan')
   .option('--file <file>', 'Path to a single file to scan')
   .option('--diff', 'Review files changed in the last commit')
-  .option('--model <name>', `AI model to use (e.g., gpt-4o, gemini-1.5-pro-latest). Default: ${defaultModel}`, defaultModel)
-  .option('--output <format>', 'Output format (markdown, json, inline). Default: markdown.')
-  .option('--output-file <filename>', 'Save the markdown report to a file.')
-  .option('--prompt <file>', 'Path to a custom system prompt file')
+  .option('--base <ref>', 'Review changes since this ref (merge-base, like a pull request). Implies --diff')
+  .option('--head <ref>', 'The ref to review against --base. Default: HEAD. Implies --diff')
+  .option('--staged', 'Review staged changes. Implies --diff')
+  .option('--working-tree', 'Review all uncommitted changes. Implies --diff')
+  .option('--diff-context <lines>', 'Unchanged lines of context sent around each change in diff mode. Default: 5', (value) => parseInt(value, 10))
+  .option('--outside-diff <mode>', 'What to do with findings on unchanged lines in diff mode (drop, downgrade). Default: drop')
+  .option('--model <name>', `AI model to use (e.g., gpt-4o, gemini-1.5-pro-latest). Default: ${defaultModel}, or the default model of the --account provider`)
+  .option('--provider <name>', `AI provider to use (${listProviders().join(', ')}). Default: inferred from the model, or the --account provider`)
+  .option('--account <name>', 'Saved credential account to use (see lucai configure list). Default: the default account')
+  .option('--base-url <url>', 'Base URL of the provider API, e.g. an OpenAI-compatible server at http://localhost:11434/v1')
+  .option('--concurrency <n>', 'Number of files to review in parallel. Default: 4', (value) => parseInt(value, 10))
+  .option('--retries <n>', 'Retries per request on rate limits and server errors. Default: 3', (value) => parseInt(value, 10))
+  .option('--estimate', 'Report the input tokens and expected cost per file without reviewing')
+  .option('--max-tokens <n>', 'Do not start, or stop, the review if it would use more tokens than this', (value) => parseInt(value, 10))
+  .option('--max-cost <usd>', 'Do not start, or stop, the review if it would cost more than this', (value) => parseFloat(value))
+  .option('--output <format>', 'Output format (markdown, json, sarif, inline, github-review). Default: markdown.')
+  .option('--output-file <filename>', 'Save the report to a file.')
+  .option('--prompt <file>', 'Path to a prompt template replacing the built-in review instructions')
   .option('--summary', 'Append an executive summary to the review')
   .option('--blame', 'Attribute code authorship via git blame')
-  .option('--track', 'Save quality scores over time')
-  .option('--profile <name>', 'Run a review with a specific profile from your .lucai.json')
+  .option('--track', 'Save quality scores and findings to the local history')
+  .option('--profile <names>', 'Run a review with a profile from your .lucai.json, or several separated by commas')
+  .option('--no-cache', 'Re-review every file instead of reusing cached results for unchanged files')
+  .option('--project-context', 'Send the signatures and types of the local modules each file imports')
+  .option('--no-static', 'Skip the static analysis (metrics, secrets, debt and dangerous calls) run before the model')
+  .option('--no-redact', 'Send secrets found in the code as they are instead of redacting them')
+  .option('--static-only', 'Review with static analysis alone, without the model or an API key')
+  .option('--context-budget <tokens>', `Maximum tokens of imported definitions per file. Default: ${DEFAULT_CONTEXT_BUDGET}`, (value) => parseInt(value, 10))
+  .option('--baseline <file>', `Baseline of known findings to hide. Default: ${BASELINE_FILE}, if it exists`)
+  .option('--show-baselined', 'Show baselined findings, marked, instead of hiding them')
+  .option('--min-severity <level>', 'Only report findings at this severity or above (critical, high, medium, low)')
+  .option('--categories <list>', 'Only report findings in these comma-separated categories (security, correctness, performance, style, maintainability)')
+  .option('--min-confidence <n>', 'Only report findings the model is at least this confident about, from 0 to 1', (value) => parseFloat(value))
+  .option('--fail-on <level>', 'Exit with code 1 if any finding at this level or above is found (danger, issue, suggestion)')
+  .option('--min-score <n>', 'Exit with code 1 if the overall score is below this value', (value) => parseInt(value, 10))
+  .option('--max-issues <n>', 'Exit with code 1 if more dangers and issues than this are found', (value) => parseInt(value, 10))
   .action(reviewAction);
 
+// Review cache management
+const cacheCommand = program.command('cache')
+  .description('Manage the local review cache.');
+
+cacheCommand.command('stats')
+  .description('Show how many reviews are cached and their size on disk.')
+  .action(cacheStatsAction);
+
+cacheCommand.command('clear')
+  .description('Delete all cached reviews.')
+  .action(cacheClearAction);
+
+// Review history from the local score database
+program.command('history')
+  .description('List past tracked reviews.')
+  .option('--path <path>', 'Only reviews of this path or of paths below it')
+  .option('--branch <name>', 'Only reviews made on this branch')
+  .option('--since <date>', 'Only reviews at or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Only reviews at or before this date (YYYY-MM-DD)')
+  .option('--limit <n>', 'Number of reviews to show. Default: 20', (value) => parseInt(value, 10), 20)
+  .option('--format <format>', 'Output format (table, csv, json). Default: table', 'table')
+  .option('--output-file <filename>', 'Save the export to a file.')
+  .action(historyAction);
+
+program.command('trends')
+  .description('Show score trends per path as sparklines.')
+  .option('--path <path>', 'Only paths equal to or below this path')
+  .option('--branch <name>', 'Only reviews made on this branch')
+  .option('--since <date>', 'Only reviews at or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Only reviews at or before this date (YYYY-MM-DD)')
+  .option('--points <n>', 'Most recent scores to plot per path. Default: 30', (value) => parseInt(value, 10), 30)
+  .action(trendsAction);
+
+program.command('findings')
+  .description('Search the findings of tracked reviews. By default only open findings are listed.')
+  .option('--path <path>', 'Only findings in this path or in paths below it')
+  .option('--kind <kind>', 'Only findings of this kind (danger, issue, suggestion, fix)')
+  .option('--branch <name>', 'Only findings from reviews made on this branch')
+  .option('--since-commit <hash>', 'Only findings introduced after the review tracked at this commit')
+  .option('--all', 'Include findings of earlier reviews, not only open ones')
+  .option('--limit <n>', 'Number of findings to show. Default: 50', (value) => parseInt(value, 10), 50)
+  .option('--format <format>', 'Output format (table, csv, json). Default: table', 'table')
+  .option('--output-file <filename>', 'Save the export to a file.')
+  .action(findingsAction);
+
+// Publishing of saved reviews
+const publishCommand = program.command('publish')
+  .description('Publish a review to a code hosting platform.');
+
+publishCommand.command('github')
+  .description('Publish a JSON review report as a GitHub pull request review with inline comments.')
+  .requiredOption('--report <file>', 'Path to a report saved with --output json --output-file <file>')
+  .option('--repo <owner/name>', 'Repository. Default: $GITHUB_REPOSITORY')
+  .option('--pr <number>', 'Pull request number. Default: from the GitHub Actions event')
+  .option('--commit <sha>', 'Commit the comments refer to. Default: the pull request head')
+  .option('--token <token>', 'GitHub token. Default: $GITHUB_TOKEN')
+  .option('--api-url <url>', 'GitHub API URL. Default: $GITHUB_API_URL or https://api.github.com')
+  .action(publishGithubAction);
+
+// Baseline of known findings
+const baselineCommand = program.command('baseline')
+  .description('Manage the baseline of known findings hidden from reviews.');
+
+// Commands that work from a saved report or a fresh review
+function addReportOrReviewOptions(command) {
+  return command
+    .option('--report <file>', 'Use a report saved with --output json --output-file <file> instead of reviewing')
+    .option('--path <path>', 'Path to a directory to scan')
+    .option('--file <file>', 'Path to a single file to scan')
+    .option('--diff', 'Review files changed in the last commit')
+    .option('--base <ref>', 'Review changes since this ref. Implies --diff')
+    .option('--head <ref>', 'The ref to review against --base. Implies --diff')
+    .option('--model <name>', `AI model to use. Default: ${defaultModel}, or the default model of the --account provider`)
+    .option('--provider <name>', `AI provider to use (${listProviders().join(', ')}). Default: inferred from the model, or the --account provider`)
+    .option('--account <name>', 'Saved credential account to use. Default: the default account')
+    .option('--base-url <url>', 'Base URL of the provider API')
+    .option('--concurrency <n>', 'Number of files to review in parallel. Default: 4', (value) => parseInt(value, 10))
+    .option('--profile <names>', 'Review with a profile from your .lucai.json, or several separated by commas')
+    .option('--no-cache', 'Re-review every file instead of reusing cached results for unchanged files')
+    .option('--no-static', 'Skip the static analysis run before the model')
+    .option('--no-redact', 'Send secrets found in the code as they are instead of redacting them');
+}
+
+addReportOrReviewOptions(baselineCommand.command('create')
+  .description(`Review the code and record every current finding in ${BASELINE_FILE}.`))
+  .option('--output-file <filename>', `Where to write the baseline. Default: ${BASELINE_FILE}`, BASELINE_FILE)
+  .action(baselineCreateAction);
+
+// Application of proposed fixes
+addReportOrReviewOptions(program.command('fix')
+  .description('Apply the fixes proposed by a review, one by one.'))
+  .option('--dry-run', 'Write the fixes as a unified patch instead of changing files')
+  .option('--output-file <filename>', 'With --dry-run, save the patch to a file instead of printing it')
+  .option('--yes', 'Apply every fix without asking')
+  .action(fixAction);
+
 // Separate command for configuration
-program.command('configure')
+const configureCommand = program.command('configure')
   .description('Configure your AI provider and API key.')
+  .option('--account <name>', `Name of the credential account to create or update. Default: ${DEFAULT_ACCOUNT}`)
   .action(configureAction);
 
+configureCommand.command('list')
+  .description('List the saved credential accounts.')
+  .action(configureListAction);
+
+configureCommand.command('remove <account>')
+  .description('Delete a saved credential account.')
+  .option('--yes', 'Delete without asking')
+  .action(configureRemoveAction);
+
+configureCommand.command('test [account]')
+  .description('Check the credentials of an account with its provider. Default: the default account')
+  .option('--model <name>', 'Model to check access to, for providers that verify per model')
+  .action(configureTestAction);
+
 // Custom help display
 program.on('--help', () => {
   displayCustomHelp();
@@ -67,36 +236,130 @@ if (process.argv.length <= 2) {
 
 // --- Action Handlers ---
 
-async function reviewAction(options) {
+// Project config merged with the CLI options; any range option implies a diff review.
+// A named account chooses the provider, and the model, unless they are set.
+function resolveReviewOptions(options) {
   const projectConfig = loadProjectConfig();
   const mergedOptions = { ...projectConfig, ...options };
+  // The repository under review chose this base URL, not the person running lucai
+  if (projectConfig.baseUrl && !options.baseUrl) {
+    mergedOptions.baseUrlFromProject = true;
+  }
+  if (options.base || options.head || options.staged || options.workingTree) {
+    mergedOptions.diff = true;
+  }
+  const account = mergedOptions.account && getAccount(mergedOptions.account);
+  if (account && !mergedOptions.provider) {
+    mergedOptions.provider = account.provider;
+  }
+  if (!mergedOptions.model) {
+    mergedOptions.model = getDefaultModel(mergedOptions);
+  }
+  return mergedOptions;
+}
 
-  const model = mergedOptions.model;
-  const provider = model.startsWith('gemini') ? 'google' : 'openai';
-  const apiKey = getApiKey(provider);
+// Asks for the passphrase of an encrypted account in a terminal, unless $LUCAI_PASSPHRASE holds it
+async function promptPassphrase(accountName, account, options) {
+  if (!isEncrypted(account) || options.passphrase || process.env.LUCAI_PASSPHRASE || !process.stdin.isTTY) {
+    return;
+  }
+  const { passphrase } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: `Passphrase of the account "${accountName}":`,
+      mask: '*',
+    },
+  ]);
+  options.passphrase = passphrase;
+}
 
-  if (!apiKey) {
-    console.log(chalk.yellow(`${provider.charAt(0).toUpperCase() + provider.slice(1)} API key not found.`));
+// Checks that a review can run: a usable provider, unless static analysis is the whole review,
+// and a target. Prints why not and returns false.
+async function checkReviewSetup(mergedOptions) {
+  if (mergedOptions.staticOnly) {
+    return checkReviewTarget(mergedOptions);
+  }
+  let provider;
+  try {
+    const found = findAccount(getProviderName(mergedOptions.model, mergedOptions), mergedOptions);
+    if (found) {
+      await promptPassphrase(found.name, found.account, mergedOptions);
+    }
+    provider = createProvider(mergedOptions.model, mergedOptions);
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return false;
+  }
+
+  if (provider.requiresApiKey && !provider.apiKey) {
+    console.log(chalk.yellow(`${provider.label} API key not found.`));
     console.log(`Please run ${chalk.cyan('lucai configure')} to set it up.`);
-    return;
+    process.exitCode = EXIT_CODES.ERROR;
+    return false;
   }
 
-  const reviewPath = mergedOptions.path || mergedOptions.file;
-  if (!reviewPath && !mergedOptions.diff) {
+  return checkReviewTarget(mergedOptions);
+}
+
+// Checks that a review has a target. Prints why not and returns false.
+function checkReviewTarget(mergedOptions) {
+  if (!mergedOptions.path && !mergedOptions.file && !mergedOptions.diff) {
     console.log(chalk.red('Error: A review target is required. Use --path, --file, or --diff.'));
     console.log(`Example: ${chalk.cyan('lucai review --path ./src')} or ${chalk.cyan('lucai review --diff')}`);
+    process.exitCode = EXIT_CODES.ERROR;
+    return false;
+  }
+  return true;
+}
+
+// The files a review targets: the changed files from git, or the source files on disk
+async function collectReviewFiles(mergedOptions) {
+  return mergedOptions.diff ? getChangedFiles(mergedOptions) : getCodeContent(mergedOptions.path || mergedOptions.file, mergedOptions);
+}
+
+async function reviewAction(options) {
+  const mergedOptions = resolveReviewOptions(options);
+  if (!(await checkReviewSetup(mergedOptions))) {
+    return;
+  }
+  if (mergedOptions.staticOnly && mergedOptions.estimate) {
+    console.log(chalk.red('Error: --static-only sends no requests, so there is nothing to estimate.'));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  const model = mergedOptions.staticOnly ? STATIC_ANALYSIS_MODEL : mergedOptions.model;
+  const reviewPath = mergedOptions.path || mergedOptions.file;
+
+  let gate;
+  let baseline;
+  let findingFilter;
+  try {
+    gate = resolveGateConfig(mergedOptions);
+    baseline = loadBaseline(mergedOptions.baseline);
+    findingFilter = resolveFindingFilter(mergedOptions);
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
     return;
   }
 
   const spinner = ora('Scanning files and preparing for review...').start();
   let reviewResult;
   try {
-    let files;
     if (mergedOptions.diff) {
       spinner.text = 'Getting changed files from git...';
-      files = await getChangedFiles();
-    } else {
-      files = await getCodeContent(reviewPath);
+    }
+    const files = await collectReviewFiles(mergedOptions);
+    const isSingleFile = !!mergedOptions.file;
+
+    if (mergedOptions.estimate) {
+      spinner.text = 'Counting tokens...';
+      const estimate = await estimateReview(files, model, isSingleFile, !!mergedOptions.diff, mergedOptions);
+      spinner.stop();
+      console.log(mergedOptions.output === 'json' ? JSON.stringify(estimate, null, 2) : formatEstimate(estimate));
+      return;
     }
 
     if (mergedOptions.outputFile) {
@@ -109,18 +372,49 @@ async function reviewAction(options) {
       return;
     }
 
+    const activity = mergedOptions.staticOnly ? 'Analyzing your code' : 'The AI is reviewing your code';
     const onProgress = (completed, total) => {
-      spinner.text = `The AI is reviewing your code... [${completed}/${total}]`;
+      spinner.text = `${activity}... [${completed}/${total}]`;
     };
 
-    spinner.text = 'The AI is reviewing your code...';
-    const isSingleFile = !!mergedOptions.file;
+    spinner.text = `${activity}...`;
     reviewResult = await performReview(files, model, isSingleFile, !!mergedOptions.diff, onProgress, mergedOptions);
-    spinner.succeed('Review complete!');
+    if (reviewResult.failed) {
+      spinner.warn(`Review complete, but ${reviewResult.failed.length} file(s) could not be reviewed.`);
+    } else {
+      const cachedCount = reviewResult.files.filter(file => file.cached).length;
+      spinner.succeed(cachedCount > 0 ? `Review complete! (${cachedCount} unchanged file(s) reused from cache)` : 'Review complete!');
+    }
+
+    // Counts go to stderr, so machine-readable reports on stdout stay valid
+    if (reviewResult.usage.requests > 0) {
+      console.error(chalk.gray(`Usage: ${formatUsage(reviewResult.usage)}.`));
+    }
+    if (reviewResult.suppressed) {
+      console.error(chalk.gray(`${reviewResult.suppressed} finding(s) suppressed by lucai-disable comments.`));
+    }
+    if (reviewResult.redacted) {
+      console.error(chalk.gray(`${reviewResult.redacted} secret(s) redacted before sending; see the report for where.`));
+    }
+
+    if (baseline) {
+      applyBaseline(reviewResult, baseline, { show: mergedOptions.showBaselined });
+      if (reviewResult.baselined > 0) {
+        const verb = mergedOptions.showBaselined ? 'marked' : 'hidden';
+        console.error(chalk.gray(`${reviewResult.baselined} known finding(s) from the baseline ${verb}.`));
+      }
+    }
+
+    if (findingFilter) {
+      applyFindingFilter(reviewResult, findingFilter);
+      if (reviewResult.filtered > 0) {
+        console.error(chalk.gray(`${reviewResult.filtered} finding(s) below the severity, category or confidence filters hidden.`));
+      }
+    }
 
     if (mergedOptions.blame) {
       spinner.start('Attributing authorship...');
-      for (const fileReview of reviewResult.files) {
+      for (const fileReview of reviewResult.files.filter(file => !file.skipped && !file.failed)) {
         const blameData = await getBlameForFile(fileReview.path);
         if (blameData) {
           const blameMap = new Map(blameData.lines.map(l => [l.line, l.author]));
@@ -143,7 +437,11 @@ async function reviewAction(options) {
       reviewResult.reviewType = 'diff';
     }
 
-    if (mergedOptions.output === 'json') {
+    if (mergedOptions.output === 'github-review') {
+      spinner.start('Publishing the review to GitHub...');
+      const stats = await publishGitHubReview(reviewResult);
+      spinner.succeed(formatPublishStats(stats));
+    } else if (mergedOptions.output === 'json') {
       const jsonReport = JSON.stringify(reviewResult, null, 2);
       if (mergedOptions.outputFile) {
         fs.writeFileSync(path.resolve(mergedOptions.outputFile), jsonReport);
@@ -151,6 +449,21 @@ async function reviewAction(options) {
       } else {
         console.log(jsonReport);
       }
+    } else if (mergedOptions.output === 'sarif') {
+      const sarifReport = JSON.stringify(generateSarifReport(reviewResult, { profile: mergedOptions.profile, model }), null, 2);
+      if (mergedOptions.outputFile) {
+        fs.writeFileSync(path.resolve(mergedOptions.outputFile), sarifReport);
+        console.log(chalk.green(`\n✅ SARIF report saved to ${mergedOptions.outputFile}`));
+      } else {
+        console.log(sarifReport);
+      }
+    } else if (mergedOptions.output === 'inline') {
+      if (mergedOptions.outputFile) {
+        fs.writeFileSync(path.resolve(mergedOptions.outputFile), generateInlineReport(reviewResult, files));
+        console.log(chalk.green(`\n✅ Inline report saved to ${mergedOptions.outputFile}`));
+      } else {
+        printInlineReport(reviewResult, files);
+      }
     } else { // Default to markdown
       if (mergedOptions.outputFile) {
         const report = generateMarkdownReport(reviewResult);
@@ -163,16 +476,32 @@ async function reviewAction(options) {
     }
     
     if (mergedOptions.track) {
+      const { commit, branch } = await getCommitInfo();
       await addReview({
-        path: reviewPath,
+        path: reviewPath || '(diff)',
         score: reviewResult.score,
+        commit_hash: commit,
+        branch,
+        model,
+        profile: mergedOptions.profile,
+        files: reviewResult.files,
+        usage: reviewResult.usage,
       });
-      console.log(chalk.gray('\nReview score has been saved to your local history.'));
+      console.log(chalk.gray('\nReview results have been saved to your local history.'));
+    }
+
+    if (reviewResult.failed) {
+      // A partial review cannot vouch for the code, whatever the gate says
+      process.exitCode = EXIT_CODES.ERROR;
+    } else if (gate) {
+      reportGate(evaluateGate(reviewResult, gate));
     }
   } catch (error) {
     spinner.fail(error.message);
+    process.exitCode = EXIT_CODES.ERROR;
   } finally {
-    if (mergedOptions.outputFile && reviewResult) {
+    // JSON, SARIF and inline reports are written above and must not be replaced by markdown
+    if (mergedOptions.outputFile && reviewResult && !['json', 'sarif', 'inline'].includes(mergedOptions.output)) {
       const report = generateMarkdownReport(reviewResult);
       const filePath = path.resolve(mergedOptions.outputFile);
       fs.writeFileSync(filePath, report);
@@ -181,23 +510,349 @@ async function reviewAction(options) {
   }
 }
 
-async function configureAction() {
-  const { provider } = await inquirer.prompt([
+async function historyAction(options) {
+  try {
+    const rows = await getHistory(options);
+    const exporters = { csv: historyToCsv, json: historyToJson };
+    if (options.format === 'table') {
+      console.log(formatHistoryTable(rows));
+    } else if (exporters[options.format]) {
+      const output = exporters[options.format](rows);
+      if (options.outputFile) {
+        fs.writeFileSync(path.resolve(options.outputFile), output);
+        console.log(chalk.green(`✅ Exported ${rows.length} review(s) to ${options.outputFile}`));
+      } else {
+        process.stdout.write(output);
+      }
+    } else {
+      console.log(chalk.red(`Error: Unknown format "${options.format}". Use table, csv or json.`));
+      process.exitCode = EXIT_CODES.ERROR;
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+}
+
+async function trendsAction(options) {
+  try {
+    // Fetch enough history to fill every path's trend
+    const rows = await getHistory({ ...options, limit: -1 });
+    console.log(formatTrends(rows, options.points));
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+}
+
+async function findingsAction(options) {
+  try {
+    const rows = await getFindings(options);
+    const exporters = { csv: findingsToCsv, json: findingsToJson };
+    if (options.format === 'table') {
+      console.log(formatFindingsTable(rows));
+    } else if (exporters[options.format]) {
+      const output = exporters[options.format](rows);
+      if (options.outputFile) {
+        fs.writeFileSync(path.resolve(options.outputFile), output);
+        console.log(chalk.green(`✅ Exported ${rows.length} finding(s) to ${options.outputFile}`));
+      } else {
+        process.stdout.write(output);
+      }
+    } else {
+      console.log(chalk.red(`Error: Unknown format "${options.format}". Use table, csv or json.`));
+      process.exitCode = EXIT_CODES.ERROR;
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+}
+
+// The review to work from: a saved JSON report with --report, or else a fresh review.
+// Prints why it is unavailable and returns null.
+async function loadReportOrReview(options, activity) {
+  if (options.report) {
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(options.report), 'utf-8'));
+    } catch (error) {
+      console.log(chalk.red(`Error: Could not read report ${options.report}: ${error.message}`));
+      process.exitCode = EXIT_CODES.ERROR;
+      return null;
+    }
+  }
+
+  const mergedOptions = resolveReviewOptions(options);
+  if (!(await checkReviewSetup(mergedOptions))) {
+    return null;
+  }
+  const spinner = ora(`Reviewing the code ${activity}...`).start();
+  try {
+    const files = await collectReviewFiles(mergedOptions);
+    const onProgress = (completed, total) => {
+      spinner.text = `Reviewing the code ${activity}... [${completed}/${total}]`;
+    };
+    const reviewResult = await performReview(files, mergedOptions.model, !!mergedOptions.file, !!mergedOptions.diff, onProgress, mergedOptions);
+    spinner.stop();
+    return reviewResult;
+  } catch (error) {
+    spinner.fail(error.message);
+    process.exitCode = EXIT_CODES.ERROR;
+    return null;
+  }
+}
+
+async function baselineCreateAction(options) {
+  const reviewResult = await loadReportOrReview(options, 'to create the baseline');
+  if (!reviewResult) {
+    return;
+  }
+
+  if (reviewResult.failed) {
+    // A baseline without these files would report all their findings as new
+    console.log(chalk.red(`Error: ${reviewResult.failed.length} file(s) could not be reviewed; the baseline was not written.`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+
+  const baseline = createBaseline(reviewResult);
+  writeBaseline(baseline, options.outputFile);
+  console.log(chalk.green(`✅ Baseline of ${baseline.findings.length} finding(s) written to ${options.outputFile}. Commit it to share it with your team.`));
+}
+
+async function fixAction(options) {
+  const interactive = !options.yes && !options.dryRun;
+  if (interactive && !process.stdin.isTTY) {
+    console.log(chalk.red('Error: Not running in a terminal. Use --yes to apply every fix, or --dry-run to write a patch.'));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+
+  const reviewResult = await loadReportOrReview(options, 'for fixes');
+  if (!reviewResult) {
+    return;
+  }
+
+  const plans = planFixes(reviewResult, (filePath) => fs.readFileSync(path.resolve(filePath), 'utf-8'));
+  if (plans.length === 0) {
+    console.error(chalk.yellow('The review proposed no fixes.'));
+    return;
+  }
+
+  // Progress goes to stderr, so a dry-run patch on stdout stays valid
+  const stats = { accepted: 0, skipped: 0, unusable: 0, files: 0 };
+  const patches = [];
+  let acceptAll = !interactive;
+  let quit = false;
+
+  for (const plan of plans) {
+    if (quit) break;
+    if (plan.error) {
+      console.error(chalk.yellow(`⚠️  ${plan.path}: ${plan.error}`));
+      stats.unusable++;
+      continue;
+    }
+
+    const accepted = [];
+    for (const edit of plan.edits) {
+      if (quit) break;
+      const location = `${plan.path}:${edit.startLine || edit.fix.line || '?'}`;
+      if (edit.reason) {
+        console.error(chalk.yellow(`⚠️  ${location} skipped: ${edit.reason}`));
+        stats.unusable++;
+        continue;
+      }
+      const overlap = findOverlap(edit, accepted);
+      if (overlap) {
+        console.error(chalk.yellow(`⚠️  ${location} skipped: it overlaps the fix accepted at line ${overlap.startLine}.`));
+        stats.unusable++;
+        continue;
+      }
+
+      let decision = 'accept';
+      if (!acceptAll) {
+        printFixPreview(plan, edit, location);
+        decision = await promptFixDecision();
+        if (decision === 'edit') {
+          edit.replacement = await editFixReplacement(edit);
+          decision = 'accept';
+        } else if (decision === 'all') {
+          acceptAll = true;
+          decision = 'accept';
+        }
+      }
+      if (decision === 'quit') {
+        quit = true;
+      } else if (decision === 'accept') {
+        accepted.push(edit);
+      } else {
+        stats.skipped++;
+      }
+    }
+
+    if (accepted.length === 0) continue;
+    if (options.dryRun) {
+      patches.push(createPatch(plan.path, plan.content, accepted));
+    } else {
+      try {
+        writeFixedFile(plan.path, plan.content, applyEdits(plan.content, accepted));
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = EXIT_CODES.ERROR;
+        continue;
+      }
+    }
+    stats.accepted += accepted.length;
+    stats.files++;
+  }
+
+  const unusable = stats.unusable > 0 ? `, ${stats.unusable} could not be applied` : '';
+  if (options.dryRun) {
+    const patch = patches.join('');
+    if (options.outputFile) {
+      fs.writeFileSync(path.resolve(options.outputFile), patch);
+      console.error(chalk.green(`✅ Patch with ${stats.accepted} fix(es) in ${stats.files} file(s) saved to ${options.outputFile}${unusable}. Apply it with \`git apply ${options.outputFile}\`.`));
+    } else {
+      process.stdout.write(patch);
+      console.error(chalk.gray(`${stats.accepted} fix(es) in ${stats.files} file(s)${unusable}.`));
+    }
+  } else {
+    console.error(chalk.green(`✅ Applied ${stats.accepted} fix(es) to ${stats.files} file(s); ${stats.skipped} skipped${unusable}.`));
+  }
+}
+
+function printFixPreview(plan, edit, location) {
+  console.log(chalk.bold(`\n🛠️  ${location}`) + ` ${edit.fix.explanation || ''}`);
+  if (edit.movedFrom) {
+    console.log(chalk.gray(`   The code has moved since the review (it was at line ${edit.movedFrom}).`));
+  }
+  for (const line of buildHunks(plan.content, [edit]).trimEnd().split('\n')) {
+    if (line.startsWith('+')) console.log(chalk.green(line));
+    else if (line.startsWith('-')) console.log(chalk.red(line));
+    else if (line.startsWith('@@')) console.log(chalk.cyan(line));
+    else console.log(line);
+  }
+}
+
+async function promptFixDecision() {
+  const { decision } = await inquirer.prompt([
     {
       type: 'list',
-      name: 'provider',
-      message: 'Select your AI provider:',
-      choices: ['openai', 'google'],
+      name: 'decision',
+      message: 'Apply this fix?',
+      choices: [
+        { name: 'Accept', value: 'accept' },
+        { name: 'Skip', value: 'skip' },
+        { name: 'Edit the replacement, then accept', value: 'edit' },
+        { name: 'Accept this and all remaining fixes', value: 'all' },
+        { name: 'Quit (fixes accepted so far are still applied)', value: 'quit' },
+      ],
+    },
+  ]);
+  return decision;
+}
+
+async function editFixReplacement(edit) {
+  const { replacement } = await inquirer.prompt([
+    {
+      type: 'editor',
+      name: 'replacement',
+      message: 'Edit the replacement code:',
+      default: edit.replacement.join('\n') + '\n',
     },
   ]);
+  // Editors add a final newline
+  return replacement.replace(/\r?\n$/, '').split(/\r?\n/);
+}
 
-  const existingApiKey = getApiKey(provider);
-  if (existingApiKey) {
+async function publishGithubAction(options) {
+  const spinner = ora('Publishing the review to GitHub...').start();
+  try {
+    const reviewResult = JSON.parse(fs.readFileSync(path.resolve(options.report), 'utf-8'));
+    const stats = await publishGitHubReview(reviewResult, options);
+    spinner.succeed(formatPublishStats(stats));
+  } catch (error) {
+    spinner.fail(error.message);
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+}
+
+// Written to stderr so machine-readable reports on stdout stay valid
+function reportGate({ passed, failures, notes }) {
+  for (const note of notes) {
+    console.error(chalk.gray(`Quality gate: ${note}.`));
+  }
+  if (passed) {
+    console.error(chalk.green('✅ Quality gate passed.'));
+    return;
+  }
+  console.error(chalk.red('❌ Quality gate failed:'));
+  for (const failure of failures) {
+    console.error(chalk.red(`  - ${failure}`));
+  }
+  process.exitCode = EXIT_CODES.GATE_FAILED;
+}
+
+function formatPublishStats({ created, updated, resolved, outside }) {
+  return `Published to GitHub: ${created} new, ${updated} updated and ${resolved} resolved comment(s); ${outside} finding(s) outside the diff listed in the summary.`;
+}
+
+async function cacheStatsAction() {
+  const stats = await getCacheStats();
+  console.log(`${chalk.bold('Cache location:')} ${stats.path}`);
+  console.log(`${chalk.bold('Cached reviews:')} ${stats.entries}`);
+  console.log(`${chalk.bold('Size on disk:')}   ${formatBytes(stats.bytes)}`);
+}
+
+async function cacheClearAction() {
+  const stats = await clearCache();
+  console.log(chalk.green(`✅ Removed ${stats.entries} cached review(s) (${formatBytes(stats.bytes)}).`));
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Keys are shown by their first and last characters only
+function maskApiKey(account) {
+  if (isEncrypted(account)) return 'encrypted';
+  if (!account.apiKey) return 'no key';
+  return account.apiKey.length > 12 ? `${account.apiKey.slice(0, 3)}…${account.apiKey.slice(-4)}` : '****';
+}
+
+// Checks credentials with the provider: resolves to an error message, or null when they work
+async function testCredentials(providerName, options, model) {
+  try {
+    const provider = createProvider(model || getDefaultModel({ provider: providerName }), { ...options, provider: providerName });
+    if (provider.requiresApiKey && !provider.apiKey) {
+      return 'No API key.';
+    }
+    await provider.verify(model || getDefaultModel({ provider: providerName }));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+async function configureAction(options) {
+  const { name } = options.account ? { name: options.account } : await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Account name (e.g., work, personal):',
+      default: resolveAccountName() || DEFAULT_ACCOUNT,
+    },
+  ]);
+
+  const existing = getAccount(name);
+  if (existing) {
     const { overwrite } = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'overwrite',
-        message: `An API key for ${provider} already exists. Do you want to overwrite it?`,
+        message: `The account "${name}" already exists (${existing.provider}). Do you want to overwrite it?`,
         default: false,
       },
     ]);
@@ -207,26 +862,189 @@ async function configureAction() {
     }
   }
 
-  const { apiKey } = await inquirer.prompt([
+  const { provider } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'provider',
+      message: 'Select your AI provider:',
+      choices: listProviders(),
+      default: existing ? existing.provider : 'openai',
+    },
+  ]);
+  const isLocal = provider === 'openai-compatible' || provider === 'ollama';
+
+  const answers = await inquirer.prompt([
     {
       type: 'password',
       name: 'apiKey',
-      message: `Please enter your ${provider.charAt(0).toUpperCase() + provider.slice(1)} API key:`,
+      message: isLocal ? 'API key of the server (leave empty if it needs none):' : `Please enter your ${provider.charAt(0).toUpperCase() + provider.slice(1)} API key:`,
+      mask: '*',
+      validate: (input) => (input.length > 0 || isLocal ? true : 'API key cannot be empty.'),
+    },
+    {
+      type: 'input',
+      name: 'baseUrl',
+      message: isLocal ? 'Base URL of the server (e.g., http://localhost:11434/v1):' : 'Base URL of the API (leave empty for the official one):',
+      validate: (input) => (input.length > 0 || provider !== 'openai-compatible' ? true : 'The openai-compatible provider requires a base URL.'),
+    },
+    {
+      type: 'input',
+      name: 'organization',
+      message: 'Organization ID (optional):',
+      when: provider === 'openai',
+    },
+    {
+      type: 'input',
+      name: 'project',
+      message: 'Project ID (optional):',
+      when: provider === 'openai',
+    },
+    {
+      type: 'list',
+      name: 'storage',
+      message: 'How should the API key be stored?',
+      choices: [
+        { name: 'In ~/.lucai/config.json, readable only by you', value: 'file' },
+        { name: 'Encrypted with a passphrase, asked for on each review', value: 'passphrase' },
+      ],
+      when: (current) => current.apiKey.length > 0,
+    },
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'Passphrase:',
       mask: '*',
-      validate: (input) => (input.length > 0 ? true : 'API key cannot be empty.'),
+      when: (current) => current.storage === 'passphrase',
+      validate: (input) => (input.length >= 8 ? true : 'Use at least 8 characters.'),
+    },
+    {
+      type: 'password',
+      name: 'confirmPassphrase',
+      message: 'Repeat the passphrase:',
+      mask: '*',
+      when: (current) => current.storage === 'passphrase',
+      validate: (input, current) => (input === current.passphrase ? true : 'The passphrases do not match.'),
     },
   ]);
-  setConfig(provider, apiKey);
-  console.log(chalk.green(`✅ ${provider.charAt(0).toUpperCase() + provider.slice(1)} API key saved successfully!`));
-  console.log('You can now use the `review` command.');
+
+  const account = {
+    provider,
+    apiKey: answers.apiKey,
+    baseUrl: answers.baseUrl,
+    organization: answers.organization,
+    project: answers.project,
+  };
+
+  const spinner = ora(`Checking the credentials with ${provider}...`).start();
+  const error = await testCredentials(provider, { credentials: account });
+  if (error) {
+    spinner.fail(`Could not verify the credentials with ${provider}: ${error}`);
+    const { saveAnyway } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'saveAnyway',
+        message: 'Save the account anyway?',
+        default: false,
+      },
+    ]);
+    if (!saveAnyway) {
+      console.log(chalk.yellow('Configuration cancelled.'));
+      process.exitCode = EXIT_CODES.ERROR;
+      return;
+    }
+  } else {
+    spinner.succeed(`${provider} accepted the credentials.`);
+  }
+
+  const defaultAccount = resolveAccountName();
+  let makeDefault = false;
+  if (defaultAccount && defaultAccount !== name && getAccount(defaultAccount)) {
+    ({ makeDefault } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'makeDefault',
+        message: `Use "${name}" by default instead of "${defaultAccount}"?`,
+        default: false,
+      },
+    ]));
+  }
+
+  saveAccount(name, account, { passphrase: answers.passphrase, makeDefault });
+  console.log(chalk.green(`✅ Account "${name}" saved successfully!`));
+  console.log(`You can now use the \`review\` command${makeDefault || resolveAccountName() === name ? '' : ` with --account ${name}`}.`);
+}
+
+async function configureListAction() {
+  const accounts = listAccounts();
+  if (accounts.length === 0) {
+    console.log(chalk.yellow(`No accounts saved. Run ${chalk.cyan('lucai configure')} to add one.`));
+    return;
+  }
+  for (const account of accounts) {
+    const marker = account.isDefault ? chalk.green('*') : ' ';
+    const details = [
+      account.baseUrl,
+      account.organization && `organization ${account.organization}`,
+      account.project && `project ${account.project}`,
+    ].filter(Boolean).join(', ');
+    console.log(`${marker} ${chalk.bold(account.name.padEnd(15))} ${account.provider.padEnd(18)} ${maskApiKey(account).padEnd(10)} ${chalk.gray(details)}`.trimEnd());
+  }
+  console.log(chalk.gray('\n* default account'));
+}
+
+async function configureRemoveAction(name, options) {
+  if (!getAccount(name)) {
+    console.log(chalk.red(`Error: No account named "${name}".`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Delete the account "${name}" and its API key?`,
+        default: false,
+      },
+    ]);
+    if (!confirm) {
+      console.log(chalk.yellow('Nothing was deleted.'));
+      return;
+    }
+  }
+  removeAccount(name);
+  console.log(chalk.green(`✅ Account "${name}" deleted.`));
+  const defaultAccount = resolveAccountName();
+  if (defaultAccount) {
+    console.log(`The default account is "${defaultAccount}".`);
+  }
+}
+
+async function configureTestAction(name, options) {
+  const accountName = name || resolveAccountName();
+  const account = accountName && getAccount(accountName);
+  if (!account) {
+    console.log(chalk.red(accountName ? `Error: No account named "${accountName}".` : 'Error: No accounts saved.'));
+    console.log(`Run ${chalk.cyan('lucai configure list')} to see the saved accounts.`);
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  const testOptions = { account: accountName };
+  await promptPassphrase(accountName, account, testOptions);
+
+  const spinner = ora(`Checking the account "${accountName}" with ${account.provider}...`).start();
+  const error = await testCredentials(account.provider, testOptions, options.model);
+  if (error) {
+    spinner.fail(`The account "${accountName}" does not work: ${error}`);
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  spinner.succeed(`The account "${accountName}" works with ${account.provider}.`);
 }
 
 // --- Help Display ---
 
 function displayCustomHelp() {
-  const config = getConfig();
-  const defaultModel = config.provider === 'google' ? 'gemini-1.5-pro-latest' : 'gpt-4o';
-
   console.log(chalk.cyan(figlet.textSync('lucai', { horizontalLayout: 'default' })));
   console.log(chalk.bold.cyan('             Your AI Code Review Assistant ✨\n'));
   console.log(chalk.bold.underline('Description:'));
@@ -236,7 +1054,14 @@ function displayCustomHelp() {
   console.log(chalk.bold.underline('Commands:'));
   const commands = [
     { cmd: 'review', desc: 'Perform an AI-enhanced code review.' },
-    { cmd: 'configure', desc: 'Configure your AI provider and API key.' },
+    { cmd: 'configure', desc: 'Save, list, test or remove credential accounts for your AI providers.' },
+    { cmd: 'fix', desc: 'Review, then apply the proposed fixes interactively or as a patch.' },
+    { cmd: 'history', desc: 'List past tracked reviews, or export them as CSV/JSON.' },
+    { cmd: 'findings', desc: 'Search the findings of tracked reviews (open, by path, kind or commit).' },
+    { cmd: 'trends', desc: 'Show score trends per path as sparklines.' },
+    { cmd: 'baseline', desc: `Record the current findings in ${BASELINE_FILE} so reviews report only new ones.` },
+    { cmd: 'publish', desc: 'Publish a saved review as a GitHub pull request review.' },
+    { cmd: 'cache', desc: 'Show stats for or clear the local review cache.' },
     { cmd: 'help', desc: 'Display help for a command.' },
   ];
   commands.forEach((c) => {
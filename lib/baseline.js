@@ -0,0 +1,141 @@
+// lib/baseline.js
+// Baseline of accepted findings, so reviews of legacy code report only new problems
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getFindingFingerprint, normalizeFindingText } = require('./findings');
+
+const BASELINE_FILE = '.lucai-baseline.json';
+// Version 1 fingerprinted the wording of findings; version 2 the code they flag
+const BASELINE_VERSION = 2;
+const BASELINE_SECTIONS = ['dangers', 'issues', 'suggestions', 'fix'];
+
+// './src\\a.js' and 'src/a.js' must give the same fingerprint, whichever way lucai was invoked
+function toBaselinePath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+function getBaselineFingerprint(filePath, section, item, version = BASELINE_VERSION) {
+  if (version < 2) {
+    const text = normalizeFindingText(item.description || item.explanation);
+    return crypto.createHash('sha1').update([toBaselinePath(filePath), section, text].join('\0')).digest('hex').slice(0, 16);
+  }
+  return getFindingFingerprint(filePath, section, item);
+}
+
+/**
+ * Builds a baseline from the findings of a review result. Entries are sorted so the
+ * committed file changes as little as possible between runs.
+ * @param {object} reviewResult - The result of `performReview`.
+ * @returns {{version: number, createdAt: string, findings: Array<object>}}
+ */
+function createBaseline(reviewResult) {
+  const findings = [];
+  for (const fileReview of reviewResult.files || []) {
+    for (const section of BASELINE_SECTIONS) {
+      for (const item of fileReview[section] || []) {
+        findings.push({
+          fingerprint: getBaselineFingerprint(fileReview.path, section, item),
+          path: toBaselinePath(fileReview.path),
+          section,
+          // Informational only: matching ignores the line, so findings survive line shifts
+          line: Number(item.line) || null,
+          description: item.description || item.explanation || '',
+        });
+      }
+    }
+  }
+  findings.sort((a, b) =>
+    a.path.localeCompare(b.path) || (a.line || 0) - (b.line || 0) || a.fingerprint.localeCompare(b.fingerprint));
+  return { version: BASELINE_VERSION, createdAt: new Date().toISOString(), findings };
+}
+
+/**
+ * Writes a baseline file.
+ * @param {object} baseline - From `createBaseline`.
+ * @param {string} [filePath=BASELINE_FILE] - Where to write it, relative to the current directory.
+ */
+function writeBaseline(baseline, filePath = BASELINE_FILE) {
+  fs.writeFileSync(path.resolve(filePath), JSON.stringify(baseline, null, 2) + '\n');
+}
+
+/**
+ * Loads a baseline file.
+ * @param {string} [filePath=BASELINE_FILE] - The baseline file, relative to the current directory.
+ * @returns {object|null} The baseline, or null if the file does not exist.
+ */
+function loadBaseline(filePath = BASELINE_FILE) {
+  const absolutePath = path.resolve(filePath);
+  if (!fs.existsSync(absolutePath)) {
+    return null;
+  }
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(absolutePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse baseline file ${filePath}: ${error.message}`);
+  }
+  if (!baseline || !Array.isArray(baseline.findings)) {
+    throw new Error(`Invalid baseline file ${filePath}: missing "findings".`);
+  }
+  if (baseline.version > BASELINE_VERSION) {
+    throw new Error(`Baseline file ${filePath} was written by a newer version of lucai.`);
+  }
+  return baseline;
+}
+
+/**
+ * Removes the baselined findings from a review result, in place. Each baseline entry
+ * matches at most one finding, so a second copy of a known problem is still reported.
+ * Baselines of version 1 are matched by the wording of the findings, as they were written.
+ * With `show`, baselined findings are kept and marked `baselined: true` instead.
+ * The number of hidden findings is recorded as `baselineHidden` on each file, and the
+ * number of baselined findings as `baselined` on the result.
+ * @param {object} reviewResult - The result of `performReview`.
+ * @param {object} baseline - From `loadBaseline`.
+ * @param {object} [options]
+ * @param {boolean} [options.show=false] - Keep baselined findings, marked, instead of hiding them.
+ * @returns {object} The review result.
+ */
+function applyBaseline(reviewResult, baseline, options = {}) {
+  const remaining = new Map();
+  for (const entry of baseline.findings) {
+    remaining.set(entry.fingerprint, (remaining.get(entry.fingerprint) || 0) + 1);
+  }
+
+  let total = 0;
+  for (const fileReview of reviewResult.files || []) {
+    let count = 0;
+    for (const section of BASELINE_SECTIONS) {
+      if (!fileReview[section]) continue;
+      fileReview[section] = fileReview[section].filter(item => {
+        const fingerprint = getBaselineFingerprint(fileReview.path, section, item, baseline.version);
+        if (!remaining.get(fingerprint)) {
+          return true;
+        }
+        remaining.set(fingerprint, remaining.get(fingerprint) - 1);
+        count++;
+        if (options.show) {
+          item.baselined = true;
+          return true;
+        }
+        return false;
+      });
+    }
+    if (count > 0 && !options.show) {
+      fileReview.baselineHidden = count;
+    }
+    total += count;
+  }
+  reviewResult.baselined = total;
+  return reviewResult;
+}
+
+module.exports = {
+  BASELINE_FILE,
+  createBaseline,
+  writeBaseline,
+  loadBaseline,
+  applyBaseline,
+};
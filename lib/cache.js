@@ -0,0 +1,112 @@
+// lib/cache.js
+// Content-addressed cache of per-file review results
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const cacheDir = path.join(os.homedir(), '.lucai', 'cache');
+
+// Bump when the shape of cached results changes so stale entries are never reused.
+const CACHE_VERSION = 3;
+
+/**
+ * Computes the cache key of a file review.
+ * Any change to the reviewed content, the model, the system prompt or the temperature yields a new key.
+ * @param {object} keyData
+ * @param {string} keyData.content - The exact code sent to the model.
+ * @param {string} keyData.model - The AI model used.
+ * @param {string} keyData.systemPrompt - The system prompt used.
+ * @param {string} [keyData.provider] - The provider serving the model.
+ * @param {number} [keyData.temperature] - The temperature set by the profile, if any.
+ * @returns {string} A hex sha256 digest.
+ */
+function computeCacheKey({ content, model, systemPrompt, provider = '', temperature }) {
+  const hash = crypto.createHash('sha256');
+  // The temperature is only hashed when set, so reviews at the model default keep their keys
+  const settings = temperature !== undefined ? [`temperature=${temperature}`] : [];
+  for (const part of [String(CACHE_VERSION), provider, model, systemPrompt, ...settings, content]) {
+    hash.update(part);
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+function getEntryPath(key) {
+  return path.join(cacheDir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Reads a cached review result.
+ * @param {string} key - The key from `computeCacheKey`.
+ * @returns {Promise<object|null>} The cached result, or null on a miss.
+ */
+async function getCachedReview(key) {
+  try {
+    const data = await fs.readFile(getEntryPath(key), 'utf-8');
+    return JSON.parse(data).result;
+  } catch (error) {
+    return null; // Missing or corrupt entries are treated as misses
+  }
+}
+
+/**
+ * Stores a review result. Failures to write are not fatal to the review.
+ * @param {string} key - The key from `computeCacheKey`.
+ * @param {object} result - The per-file review result.
+ */
+async function setCachedReview(key, result) {
+  const entryPath = getEntryPath(key);
+  const tempPath = `${entryPath}.${process.pid}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify({ createdAt: new Date().toISOString(), result }));
+    await fs.rename(tempPath, entryPath);
+  } catch (error) {
+    console.warn(`Could not write review cache entry: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes every cached review.
+ * @returns {Promise<{entries: number, bytes: number}>} What was removed.
+ */
+async function clearCache() {
+  const stats = await getCacheStats();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+  return stats;
+}
+
+/**
+ * Counts the cached reviews and their size on disk.
+ * @returns {Promise<{path: string, entries: number, bytes: number}>}
+ */
+async function getCacheStats() {
+  const stats = { path: cacheDir, entries: 0, bytes: 0 };
+  let buckets;
+  try {
+    buckets = await fs.readdir(cacheDir, { withFileTypes: true });
+  } catch (error) {
+    return stats; // No cache yet
+  }
+
+  for (const bucket of buckets.filter(entry => entry.isDirectory())) {
+    const bucketPath = path.join(cacheDir, bucket.name);
+    for (const name of await fs.readdir(bucketPath)) {
+      if (!name.endsWith('.json')) continue;
+      const { size } = await fs.stat(path.join(bucketPath, name));
+      stats.entries++;
+      stats.bytes += size;
+    }
+  }
+  return stats;
+}
+
+module.exports = {
+  computeCacheKey,
+  getCachedReview,
+  setCachedReview,
+  clearCache,
+  getCacheStats,
+};
@@ -0,0 +1,245 @@
+// lib/chunker.js
+// Splits large files into chunks along function and class boundaries
+
+const path = require('path');
+const { countLocalTokens } = require('./providers/openai');
+
+// Share of each chunk's budget that the imports and signatures of the file may take
+const CONTEXT_SHARE = 0.2;
+// Tokens added to each line by its `  12 | ` line number prefix
+const LINE_NUMBER_TOKENS = 3;
+
+const C_LIKE_PRELUDE = /^\s*(\/\/|\/\*|\*|@)/;
+
+// `declaration` matches the first line of a function, class or method. `prelude` matches
+// the comments, decorators and annotations that belong to the declaration below them.
+const LANGUAGES = [
+  {
+    extensions: ['.js', '.jsx', '.ts', '.tsx'],
+    imports: /^\s*(import\s|export\s+(\*|\{[^}]*\})\s+from\s|(const|let|var)\s+[\w${}\s,:]+=\s*require\()/,
+    declaration: new RegExp([
+      /^\s*(export\s+)?(default\s+)?(declare\s+)?(abstract\s+)?(async\s+)?(function\b|class\s|interface\s|type\s+\w+\s*=|enum\s)/.source,
+      /^\s*(export\s+)?(const|let|var)\s+[\w$]+\s*(:[^=]+)?=\s*(async\s+)?(function\b|\([^)]*\)\s*(:[^=]+)?=>|[\w$]+\s*=>)/.source,
+      /^\s+(public\s+|private\s+|protected\s+|static\s+|readonly\s+|async\s+|get\s+|set\s+)*(?!(if|for|while|switch|catch|return|function)\b)[\w$]+\s*\([^)]*\)\s*(:\s*[^{]+)?\{\s*$/.source,
+      /^\s*(module\.)?exports(\.\w+)?\s*=/.source,
+    ].join('|')),
+    prelude: C_LIKE_PRELUDE,
+  },
+  {
+    extensions: ['.py'],
+    imports: /^(import|from)\s/,
+    declaration: /^\s*(async\s+)?def\s|^\s*class\s/,
+    prelude: /^\s*(@|#)/,
+  },
+  {
+    extensions: ['.rb'],
+    imports: /^\s*(require|require_relative|include|extend)\s/,
+    declaration: /^\s*(def|class|module)\s/,
+    prelude: /^\s*#/,
+  },
+  {
+    extensions: ['.go'],
+    imports: /^\s*(import\s|"[\w./-]+"$|\w+\s+"[\w./-]+"$)/,
+    declaration: /^func\s|^type\s+\w+\s+(struct|interface)\b/,
+    prelude: /^\s*\/\//,
+  },
+  {
+    extensions: ['.java', '.cs'],
+    imports: /^\s*(import|using)\s[\w.]+(\s*=\s*[\w.]+)?\s*;/,
+    declaration: new RegExp([
+      /^\s*(\[[^\]]*\]\s*)*((public|private|protected|internal|static|abstract|final|sealed|partial)\s+)*(class|interface|enum|record|struct)\s/.source,
+      /^\s*((public|private|protected|internal|static|abstract|final|override|virtual|async|synchronized)\s+)+[\w<>[\],.?\s]+\s+\w+\s*\([^;]*$/.source,
+    ].join('|')),
+    prelude: /^\s*(\/\/|\/\*|\*|@|\[)/,
+  },
+];
+
+/**
+ * The declaration syntax of a file, by its extension.
+ * @param {string} filePath - The path of the file.
+ * @returns {object|null} An entry of `LANGUAGES`, or null for languages without one.
+ */
+function getDeclarationSyntax(filePath) {
+  const extension = path.extname(filePath);
+  return LANGUAGES.find(language => language.extensions.includes(extension)) || null;
+}
+
+/**
+ * Counts the tokens of each line locally, in one pass, with the line number prefix included.
+ * Local counting avoids a network request per line for providers that count remotely.
+ * @param {Array<string>} lines - The lines of a file.
+ * @returns {Array<number>}
+ */
+function countLineTokens(lines) {
+  return lines.map(line => countLocalTokens(line + '\n') + LINE_NUMBER_TOKENS);
+}
+
+/**
+ * Finds the declarations of a file. A declaration starts at its leading comments and decorators.
+ * Declarations at the smallest indentation are top-level (level 0); the others are members (level 1).
+ * @param {Array<string>} lines - The lines of a file.
+ * @param {object} language - An entry of `LANGUAGES`.
+ * @returns {Array<{startLine: number, signatureLine: number, level: number}>}
+ */
+function findDeclarations(lines, language) {
+  const found = [];
+  lines.forEach((text, index) => {
+    if (language.declaration.test(text)) {
+      found.push({ signatureLine: index + 1, indent: text.match(/^\s*/)[0].length });
+    }
+  });
+  if (found.length === 0) return [];
+
+  const topIndent = Math.min(...found.map(declaration => declaration.indent));
+  return found.map(({ signatureLine, indent }) => {
+    let startLine = signatureLine;
+    while (startLine > 1 && language.prelude.test(lines[startLine - 2]) && !language.declaration.test(lines[startLine - 2])) {
+      startLine--;
+    }
+    return { startLine, signatureLine, level: indent === topIndent ? 0 : 1 };
+  });
+}
+
+function sumTokens(lineTokens, startLine, endLine) {
+  let total = 0;
+  for (let line = startLine; line <= endLine; line++) total += lineTokens[line - 1];
+  return total;
+}
+
+// Splits [startLine, endLine] at the given boundaries into consecutive pieces
+function splitAt(startLine, endLine, boundaries) {
+  const starts = [startLine, ...boundaries.filter(line => line > startLine && line <= endLine)].sort((a, b) => a - b);
+  return [...new Set(starts)].map((start, index, all) => ({
+    startLine: start,
+    endLine: index + 1 < all.length ? all[index + 1] - 1 : endLine,
+  }));
+}
+
+// Last resort for a single declaration larger than a chunk: split by lines
+function splitByLines(piece, lineTokens, budget) {
+  const pieces = [];
+  let start = piece.startLine;
+  let tokens = 0;
+  for (let line = piece.startLine; line <= piece.endLine; line++) {
+    if (tokens + lineTokens[line - 1] > budget && line > start) {
+      pieces.push({ startLine: start, endLine: line - 1 });
+      start = line;
+      tokens = 0;
+    }
+    tokens += lineTokens[line - 1];
+  }
+  pieces.push({ startLine: start, endLine: piece.endLine });
+  return pieces;
+}
+
+/**
+ * Builds the context every chunk of a file shares: its imports and the signatures of its
+ * declarations, within a token budget. Signatures of members are dropped first.
+ * @param {Array<string>} lines - The lines of the file.
+ * @param {Array<object>} declarations - From `findDeclarations`.
+ * @param {object|null} language - An entry of `LANGUAGES`.
+ * @param {number} budget - The maximum number of tokens.
+ * @returns {{imports: Array<string>, signatures: Array<{line: number, text: string}>, tokens: number}}
+ */
+function buildSharedContext(lines, declarations, language, budget) {
+  const imports = language ? lines.filter(line => language.imports.test(line)).map(line => line.trim()) : [];
+  let signatures = declarations.map(declaration => {
+    const text = lines[declaration.signatureLine - 1].trim();
+    return { line: declaration.signatureLine, level: declaration.level, text, tokens: countLocalTokens(`${declaration.signatureLine}: ${text}\n`) };
+  });
+
+  const importTokens = imports.map(line => countLocalTokens(line + '\n'));
+  let total = importTokens.reduce((sum, tokens) => sum + tokens, 0) + signatures.reduce((sum, s) => sum + s.tokens, 0);
+  if (total > budget) {
+    total -= signatures.filter(signature => signature.level > 0).reduce((sum, s) => sum + s.tokens, 0);
+    signatures = signatures.filter(signature => signature.level === 0);
+  }
+  while (signatures.length > 0 && total > budget) total -= signatures.pop().tokens;
+  while (imports.length > 0 && total > budget) {
+    imports.pop();
+    total -= importTokens.pop();
+  }
+  return { imports, signatures, tokens: total };
+}
+
+/**
+ * Splits a file that does not fit one request into chunks at top-level function and class
+ * boundaries, then at method boundaries, and only by lines for a single declaration that
+ * is too large on its own. Consecutive pieces are packed together up to the budget.
+ * Chunks do not overlap: each carries the file's imports and the signatures declared outside it instead.
+ * @param {{path: string, content: string}} file - The file to split.
+ * @param {number} maxTokens - The token budget of a chunk, context included.
+ * @param {Array<number>} [lineTokens] - From `countLineTokens`, if already counted.
+ * @returns {Array<{startLine: number, endLine: number, lines: Array<string>, context: string}>}
+ */
+function splitIntoChunks(file, maxTokens, lineTokens) {
+  const lines = file.content.split('\n');
+  const tokens = lineTokens || countLineTokens(lines);
+  const language = getDeclarationSyntax(file.path);
+  const declarations = language ? findDeclarations(lines, language) : [];
+  const shared = buildSharedContext(lines, declarations, language, Math.floor(maxTokens * CONTEXT_SHARE));
+  const budget = maxTokens - shared.tokens;
+
+  const topLevel = declarations.filter(d => d.level === 0).map(d => d.startLine);
+  const members = declarations.filter(d => d.level > 0).map(d => d.startLine);
+
+  const pieces = [];
+  for (const segment of splitAt(1, lines.length, topLevel)) {
+    if (sumTokens(tokens, segment.startLine, segment.endLine) <= budget) {
+      pieces.push(segment);
+      continue;
+    }
+    for (const member of splitAt(segment.startLine, segment.endLine, members)) {
+      pieces.push(...(sumTokens(tokens, member.startLine, member.endLine) <= budget ? [member] : splitByLines(member, tokens, budget)));
+    }
+  }
+
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last && sumTokens(tokens, last.startLine, piece.endLine) <= budget) {
+      last.endLine = piece.endLine;
+    } else {
+      chunks.push({ ...piece });
+    }
+  }
+
+  return chunks.map(chunk => {
+    const outside = shared.signatures.filter(signature => signature.line < chunk.startLine || signature.line > chunk.endLine);
+    const context = [
+      ...(shared.imports.length > 0 ? ['Imports:', ...shared.imports] : []),
+      ...(outside.length > 0 ? ['Declared elsewhere in the file:', ...outside.map(s => `${s.line}: ${s.text}`)] : []),
+    ].join('\n');
+    return { ...chunk, lines: lines.slice(chunk.startLine - 1, chunk.endLine), context };
+  });
+}
+
+/**
+ * Builds the review prompt for one chunk. Lines carry their absolute line numbers,
+ * so findings need no adjustment afterwards.
+ * @param {string} filePath - The file the chunk belongs to.
+ * @param {object} chunk - A chunk from `splitIntoChunks`.
+ * @param {number} index - The position of the chunk, from 0.
+ * @param {number} total - The number of chunks.
+ * @returns {string}
+ */
+function buildChunkPrompt(filePath, chunk, index, total) {
+  const width = String(chunk.endLine).length;
+  const code = chunk.lines.map((text, offset) => `${String(chunk.startLine + offset).padStart(width)} | ${text}`).join('\n');
+  return [
+    `This is part ${index + 1}/${total} of the file ${filePath}: lines ${chunk.startLine}-${chunk.endLine}.`,
+    'Each line starts with its line number. Use these line numbers, and only report findings on the lines shown.',
+    ...(chunk.context ? ['', 'Context from the rest of the file, for reference only:', chunk.context] : []),
+    '',
+    'Code:',
+    code,
+  ].join('\n');
+}
+
+module.exports = {
+  getDeclarationSyntax,
+  findDeclarations,
+  countLineTokens,
+  splitIntoChunks,
+  buildChunkPrompt,
+};
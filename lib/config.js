@@ -1,63 +1,311 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
 const configDir = path.join(os.homedir(), '.lucai');
 const configFile = path.join(configDir, 'config.json');
 
+// The config holds API keys: only the owner may read it
+const CONFIG_DIR_MODE = 0o700;
+const CONFIG_FILE_MODE = 0o600;
+
+const DEFAULT_ACCOUNT = 'default';
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  google: 'gemini-1.5-pro-latest',
+};
+
+// Environment variables read when no saved account holds a key for the provider
+const API_KEY_ENV_VARS = {
+  openai: ['OPENAI_API_KEY'],
+  google: ['GOOGLE_API_KEY', 'GEMINI_API_KEY'],
+  'openai-compatible': ['LUCAI_LOCAL_API_KEY'],
+  ollama: ['LUCAI_LOCAL_API_KEY'],
+};
+
+// Providers of a server the user runs, whose base URL the .lucai.json of a project may set.
+// A hosted provider's key must not follow a base URL chosen by the repository under review.
+const SELF_HOSTED_PROVIDERS = ['openai-compatible', 'ollama'];
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// Decrypted keys, so a passphrase is only run through scrypt once per account
+const decryptedKeys = new Map();
+
 function ensureConfigDirExists() {
   if (!fs.existsSync(configDir)) {
-    fs.mkdirSync(configDir, { recursive: true });
+    fs.mkdirSync(configDir, { recursive: true, mode: CONFIG_DIR_MODE });
+  } else if (process.platform !== 'win32' && (fs.statSync(configDir).mode & 0o077) !== 0) {
+    // Directories created by earlier versions follow the umask
+    fs.chmodSync(configDir, CONFIG_DIR_MODE);
   }
 }
 
 function saveConfig(config) {
   ensureConfigDirExists();
-  fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
+  // Written to a new file that is never readable by others, then moved into place, so the keys
+  // are not exposed while an existing, looser file is rewritten
+  const tempFile = `${configFile}.${process.pid}.tmp`;
+  fs.rmSync(tempFile, { force: true }); // Left over by a crashed run
+  fs.writeFileSync(tempFile, JSON.stringify(config, null, 2), { mode: CONFIG_FILE_MODE, flag: 'wx' });
+  try {
+    fs.renameSync(tempFile, configFile);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+// Moves the keys of earlier versions, one per provider, into accounts named after the provider
+function migrateKeys(config) {
+  const accounts = { ...config.accounts };
+  for (const [provider, apiKey] of Object.entries(config.keys || {})) {
+    if (apiKey && !accounts[provider]) {
+      accounts[provider] = { provider, apiKey };
+    }
+  }
+  const { keys, provider, ...rest } = config;
+  const migrated = { ...rest, accounts };
+  if (!migrated.defaultAccount && accounts[provider]) {
+    migrated.defaultAccount = provider;
+  }
+  return migrated;
 }
 
 function loadConfig() {
   if (!fs.existsSync(configFile)) {
-    return { provider: 'openai', keys: {} };
+    return { accounts: {} };
   }
   try {
-    const configData = fs.readFileSync(configFile, 'utf-8');
-    const config = JSON.parse(configData);
-    if (!config.provider) {
-      config.provider = 'openai'; // Set default provider if missing
+    if (process.platform !== 'win32' && (fs.statSync(configFile).mode & 0o077) !== 0) {
+      fs.chmodSync(configFile, CONFIG_FILE_MODE);
     }
-    return config;
+    const configData = fs.readFileSync(configFile, 'utf-8');
+    return migrateKeys(JSON.parse(configData));
   } catch (error) {
     console.error('Error reading or parsing config file. Using default config.', error);
-    return { provider: 'openai', keys: {} };
+    return { accounts: {} };
   }
 }
 
-function setConfig(provider, key) {
-  const config = loadConfig();
-  config.provider = provider;
-  if (!config.keys) {
-    config.keys = {};
+function getConfig() {
+  return loadConfig();
+}
+
+/**
+ * Encrypts an API key with a passphrase: AES-256-GCM, with a key derived by scrypt.
+ * @param {string} secret - The API key.
+ * @param {string} passphrase - The passphrase.
+ * @returns {{salt: string, iv: string, tag: string, data: string}} Base64 fields to save.
+ */
+function encryptSecret(secret, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, crypto.scryptSync(passphrase, salt, KEY_LENGTH), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return {
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Decrypts an API key saved by `encryptSecret`.
+ * @param {object} encrypted - The saved fields.
+ * @param {string} passphrase - The passphrase.
+ * @returns {string} The API key.
+ * @throws {Error} When the passphrase is wrong.
+ */
+function decryptSecret(encrypted, passphrase) {
+  const key = crypto.scryptSync(passphrase, Buffer.from(encrypted.salt, 'base64'), KEY_LENGTH);
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('wrong passphrase');
   }
-  config.keys[provider] = key;
-  saveConfig(config);
 }
 
-function getApiKey(provider) {
-  const config = loadConfig();
-  const envVar = provider === 'openai' ? 'OPENAI_API_KEY' : 'GOOGLE_API_KEY';
-  return (config.keys && config.keys[provider]) || process.env[envVar];
+function isEncrypted(account) {
+  return !!(account && account.encryptedApiKey);
 }
 
-function getConfig() {
-  return loadConfig();
+/**
+ * The name of the account a command uses: `--account` (or `account` in `.lucai.json`),
+ * then `$LUCAI_ACCOUNT`, then the default account.
+ * @param {object} [options] - Command options.
+ * @returns {string|undefined}
+ */
+function resolveAccountName(options = {}) {
+  return options.account || process.env.LUCAI_ACCOUNT || getConfig().defaultAccount;
+}
+
+/**
+ * The saved accounts, the default one first.
+ * @returns {Array<object>} Accounts with their `name` and an `isDefault` flag.
+ */
+function listAccounts() {
+  const config = getConfig();
+  return Object.entries(config.accounts)
+    .map(([name, account]) => ({ name, ...account, isDefault: name === config.defaultAccount }))
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || a.name.localeCompare(b.name));
+}
+
+function getAccount(name) {
+  return getConfig().accounts[name] || null;
+}
+
+/**
+ * Finds the account that holds the credentials of a provider. A named account must exist
+ * and be for that provider. Otherwise the default account is used if it is, or else the
+ * first saved account of the provider.
+ * @param {string} provider - The provider name.
+ * @param {object} [options] - Command options, with `account`.
+ * @returns {{name: string, account: object}|null}
+ * @throws {Error} When the named account does not exist or is for another provider.
+ */
+function findAccount(provider, options = {}) {
+  const config = getConfig();
+  const named = options.account || process.env.LUCAI_ACCOUNT;
+  if (named) {
+    const account = config.accounts[named];
+    if (!account) {
+      throw new Error(`No account named "${named}". Run lucai configure list to see the saved accounts.`);
+    }
+    if (account.provider !== provider) {
+      throw new Error(`The account "${named}" is for ${account.provider}, not ${provider}.`);
+    }
+    return { name: named, account };
+  }
+  const fallback = config.accounts[config.defaultAccount] && config.accounts[config.defaultAccount].provider === provider
+    ? config.defaultAccount
+    : Object.keys(config.accounts).find(name => config.accounts[name].provider === provider);
+  return fallback ? { name: fallback, account: config.accounts[fallback] } : null;
+}
+
+function readApiKey(name, account, passphrase) {
+  if (!isEncrypted(account)) {
+    return account.apiKey;
+  }
+  if (!decryptedKeys.has(name)) {
+    if (!passphrase) {
+      throw new Error(`The API key of the account "${name}" is encrypted. Set LUCAI_PASSPHRASE, or run lucai in a terminal to enter the passphrase.`);
+    }
+    try {
+      decryptedKeys.set(name, decryptSecret(account.encryptedApiKey, passphrase));
+    } catch (error) {
+      throw new Error(`Could not decrypt the API key of the account "${name}": ${error.message}.`);
+    }
+  }
+  return decryptedKeys.get(name);
+}
+
+/**
+ * Resolves the credentials a provider connects with. An account's values apply first,
+ * then the environment. `--base-url` (or `baseUrl` in `.lucai.json`) overrides the
+ * account's base URL. A base URL from `.lucai.json` only applies to self-hosted providers.
+ * @param {string} provider - The provider name.
+ * @param {object} [options] - Command options.
+ * @param {string} [options.account] - The account to use.
+ * @param {boolean} [options.baseUrlFromProject] - `baseUrl` was set by the `.lucai.json` of the project.
+ * @param {string} [options.passphrase] - Decrypts an encrypted key. Default: $LUCAI_PASSPHRASE.
+ * @param {object} [options.credentials] - Credentials to use instead of a saved account, e.g. to test them before saving.
+ * @returns {{apiKey?: string, baseUrl?: string, organization?: string, project?: string}}
+ * @throws {Error} When the account cannot be used or its key cannot be decrypted, or when
+ *   `.lucai.json` sets the base URL of a hosted provider.
+ */
+function getCredentials(provider, options = {}) {
+  if (options.baseUrlFromProject && !SELF_HOSTED_PROVIDERS.includes(provider)) {
+    throw new Error(`"baseUrl" in .lucai.json only applies to the ${SELF_HOSTED_PROVIDERS.join(' and ')} providers, so your ${provider} API key is not sent to a server chosen by the project. Use --base-url, or save the base URL with lucai configure.`);
+  }
+  const found = options.credentials ? { name: null, account: options.credentials } : findAccount(provider, options);
+  const account = found ? found.account : {};
+  const storedKey = found && !options.credentials
+    ? readApiKey(found.name, account, options.passphrase || process.env.LUCAI_PASSPHRASE)
+    : account.apiKey;
+  const envVar = (API_KEY_ENV_VARS[provider] || []).find(name => process.env[name]);
+  return {
+    apiKey: storedKey || (envVar ? process.env[envVar] : undefined),
+    baseUrl: options.baseUrl || account.baseUrl,
+    organization: account.organization,
+    project: account.project,
+  };
+}
+
+/**
+ * The model reviews use unless one is chosen: the default model of the provider of the
+ * account in use.
+ * @param {object} [options] - Command options, with `account` and `provider`.
+ * @returns {string}
+ */
+function getDefaultModel(options = {}) {
+  const account = getAccount(resolveAccountName(options));
+  const provider = options.provider || (account && account.provider);
+  return DEFAULT_MODELS[provider] || DEFAULT_MODELS.openai;
+}
+
+/**
+ * Saves an account, replacing any account of the same name.
+ * @param {string} name - The account name.
+ * @param {{provider: string, apiKey?: string, baseUrl?: string, organization?: string, project?: string}} account
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - Encrypts the API key with this passphrase.
+ * @param {boolean} [options.makeDefault] - Makes it the default account. The first account always is.
+ */
+function saveAccount(name, account, { passphrase, makeDefault = false } = {}) {
+  const config = getConfig();
+  const { apiKey, ...rest } = account;
+  const saved = Object.fromEntries(Object.entries(rest).filter(([, value]) => value));
+  if (apiKey && passphrase) {
+    saved.encryptedApiKey = encryptSecret(apiKey, passphrase);
+  } else if (apiKey) {
+    saved.apiKey = apiKey;
+  }
+  config.accounts[name] = saved;
+  if (makeDefault || !config.accounts[config.defaultAccount]) {
+    config.defaultAccount = name;
+  }
+  decryptedKeys.delete(name);
+  saveConfig(config);
+}
+
+/**
+ * Deletes an account. When it was the default account, the first remaining one becomes the default.
+ * @param {string} name - The account name.
+ * @returns {boolean} Whether the account existed.
+ */
+function removeAccount(name) {
+  const config = getConfig();
+  if (!config.accounts[name]) {
+    return false;
+  }
+  delete config.accounts[name];
+  if (config.defaultAccount === name) {
+    config.defaultAccount = Object.keys(config.accounts)[0];
+  }
+  decryptedKeys.delete(name);
+  saveConfig(config);
+  return true;
 }
 
 module.exports = {
-  setConfig,
-  getApiKey,
+  DEFAULT_ACCOUNT,
   getConfig,
   loadConfig,
   saveConfig,
   ensureConfigDirExists,
-}; 
\ No newline at end of file
+  isEncrypted,
+  resolveAccountName,
+  listAccounts,
+  getAccount,
+  findAccount,
+  getCredentials,
+  getDefaultModel,
+  saveAccount,
+  removeAccount,
+};
@@ -2,18 +2,59 @@ const path = require('path');
 const os = require('os');
 const sqlite3 = require('sqlite3').verbose();
 const { ensureConfigDirExists } = require('./config');
+const { getFindingFingerprint } = require('./findings');
 
 const dbPath = path.join(os.homedir(), '.lucai', 'log.db');
 
+// Review sections stored as findings, and the kind they are stored under
+const FINDING_KINDS = {
+  dangers: 'danger',
+  issues: 'issue',
+  suggestions: 'suggestion',
+  fix: 'fix',
+};
+
 // Ensure the directory exists before trying to open the database
 ensureConfigDirExists();
 
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('Error opening database', err.message);
-  } else {
-    // Create the reviews table if it doesn't exist
-    db.run(`
+let db;
+
+// './src/' and 'src' are stored and matched as the same path
+function normalizeReviewPath(reviewPath) {
+  return path.normalize(reviewPath).replace(/\\/g, '/').replace(/\/+$/, '') || '.';
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+async function addColumnIfMissing(table, name, type) {
+  const columns = (await all(`PRAGMA table_info(${table})`)).map(column => column.name);
+  if (!columns.includes(name)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
+// Schema migrations, applied in order. The schema version is kept in `PRAGMA user_version`.
+// Never edit a released migration; append a new one instead.
+const MIGRATIONS = [
+  // 1: Tracked review scores
+  async () => {
+    await run(`
       CREATE TABLE IF NOT EXISTS reviews (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -22,50 +63,310 @@ const db = new sqlite3.Database(dbPath, (err) => {
         commit_hash TEXT
       )
     `);
+  },
+  // 2: Commit context of tracked reviews
+  async () => {
+    await addColumnIfMissing('reviews', 'branch', 'TEXT');
+    await addColumnIfMissing('reviews', 'model', 'TEXT');
+    await addColumnIfMissing('reviews', 'profile', 'TEXT');
+  },
+  // 3: Per-file results and individual findings. Single-file reviews have no overall
+  // score, so `reviews.score` becomes nullable (SQLite needs a table rebuild for that).
+  async () => {
+    await run(`
+      CREATE TABLE reviews_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        path TEXT NOT NULL,
+        score INTEGER,
+        commit_hash TEXT,
+        branch TEXT,
+        model TEXT,
+        profile TEXT
+      )
+    `);
+    await run(`INSERT INTO reviews_new SELECT id, timestamp, path, score, commit_hash, branch, model, profile FROM reviews`);
+    await run('DROP TABLE reviews');
+    await run('ALTER TABLE reviews_new RENAME TO reviews');
+    await run(`
+      CREATE TABLE review_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+        path TEXT NOT NULL,
+        score INTEGER,
+        headline TEXT,
+        status TEXT,
+        error TEXT
+      )
+    `);
+    await run(`
+      CREATE TABLE findings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+        file_id INTEGER NOT NULL REFERENCES review_files(id) ON DELETE CASCADE,
+        path TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        category TEXT,
+        line INTEGER,
+        description TEXT,
+        author TEXT,
+        fingerprint TEXT NOT NULL
+      )
+    `);
+    await run('CREATE INDEX idx_review_files_path ON review_files (path)');
+    await run('CREATE INDEX idx_findings_file ON findings (file_id)');
+    await run('CREATE INDEX idx_findings_fingerprint ON findings (fingerprint)');
+  },
+  // 4: Token usage and cost reported by the provider
+  async () => {
+    await addColumnIfMissing('reviews', 'input_tokens', 'INTEGER');
+    await addColumnIfMissing('reviews', 'output_tokens', 'INTEGER');
+    await addColumnIfMissing('reviews', 'cost', 'REAL');
+    await addColumnIfMissing('review_files', 'input_tokens', 'INTEGER');
+    await addColumnIfMissing('review_files', 'output_tokens', 'INTEGER');
+  },
+  // 5: Severity, model confidence and end line of findings
+  async () => {
+    await addColumnIfMissing('findings', 'severity', 'TEXT');
+    await addColumnIfMissing('findings', 'confidence', 'REAL');
+    await addColumnIfMissing('findings', 'end_line', 'INTEGER');
+  },
+];
+
+async function migrate() {
+  const [{ user_version: version }] = await all('PRAGMA user_version');
+  for (let index = version; index < MIGRATIONS.length; index++) {
+    await run('BEGIN');
+    try {
+      await MIGRATIONS[index]();
+      await run(`PRAGMA user_version = ${index + 1}`);
+      await run('COMMIT');
+    } catch (err) {
+      await run('ROLLBACK');
+      throw new Error(`Database migration ${index + 1} failed: ${err.message}`);
+    }
+  }
+}
+
+// Every query waits for the schema to be in place
+const ready = new Promise((resolve, reject) => {
+  db = new sqlite3.Database(dbPath, (err) => {
+    if (err) {
+      console.error('Error opening database', err.message);
+      return reject(err);
+    }
+    resolve();
+  });
+}).then(migrate);
+ready.catch((err) => console.error(err.message));
+
+async function addReviewFile(reviewId, fileReview) {
+  const filePath = normalizeReviewPath(fileReview.path);
+  const status = fileReview.failed ? 'failed' : fileReview.skipped ? 'skipped' : fileReview.error ? 'partial' : 'reviewed';
+  const usage = fileReview.usage || {};
+  const { lastID: fileId } = await run(
+    `INSERT INTO review_files (review_id, path, score, headline, status, error, input_tokens, output_tokens) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      reviewId,
+      filePath,
+      fileReview.score ?? null,
+      fileReview.headline || null,
+      status,
+      fileReview.error || fileReview.skipped || null,
+      usage.inputTokens ?? null,
+      usage.outputTokens ?? null,
+    ]
+  );
+
+  for (const [section, kind] of Object.entries(FINDING_KINDS)) {
+    for (const item of fileReview[section] || []) {
+      await run(
+        `INSERT INTO findings (review_id, file_id, path, kind, category, severity, confidence, line, end_line, description, author, fingerprint)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          reviewId,
+          fileId,
+          filePath,
+          kind,
+          item.category || null,
+          item.severity || null,
+          typeof item.confidence === 'number' ? item.confidence : null,
+          Number(item.line) >= 1 ? Number(item.line) : null,
+          Number(item.endLine) > Number(item.line) ? Number(item.endLine) : null,
+          item.description || item.explanation || null,
+          item.author || null,
+          getFindingFingerprint(filePath, section, item),
+        ]
+      );
+    }
   }
-});
+}
 
 /**
- * Adds a new review score to the database.
+ * Adds a tracked review to the database, with its per-file results and findings.
  * @param {object} reviewData - The data for the review.
  * @param {string} reviewData.path - The path that was reviewed.
- * @param {number} reviewData.score - The quality score (0-100).
+ * @param {number} [reviewData.score] - The overall quality score (0-100). Single-file reviews have none.
  * @param {string} [reviewData.commit_hash] - The git commit hash (optional).
+ * @param {string} [reviewData.branch] - The git branch (optional).
+ * @param {string} [reviewData.model] - The AI model used (optional).
+ * @param {string} [reviewData.profile] - The review profile used (optional).
+ * @param {Array<object>} [reviewData.files] - The per-file results of `performReview` (optional).
+ * @param {object} [reviewData.usage] - The token usage and cost of `performReview` (optional).
  */
-function addReview(reviewData) {
-  return new Promise((resolve, reject) => {
-    const { path, score, commit_hash } = reviewData;
-    const sql = `INSERT INTO reviews (path, score, commit_hash) VALUES (?, ?, ?)`;
+async function addReview(reviewData) {
+  const { path: reviewPath, score, commit_hash, branch, model, profile, files = [], usage = {} } = reviewData;
+  const sql = `INSERT INTO reviews (path, score, commit_hash, branch, model, profile, input_tokens, output_tokens, cost) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
-    db.run(sql, [path, score, commit_hash], function (err) {
-      if (err) {
-        console.error('Error saving review to database', err.message);
-        return reject(err);
+  try {
+    await ready;
+    await run('BEGIN');
+    try {
+      const statement = await run(sql, [
+        normalizeReviewPath(reviewPath),
+        score ?? null,
+        commit_hash,
+        branch,
+        model,
+        profile,
+        usage.inputTokens ?? null,
+        usage.outputTokens ?? null,
+        usage.cost ?? null,
+      ]);
+      for (const fileReview of files) {
+        await addReviewFile(statement.lastID, fileReview);
       }
-      resolve({ id: this.lastID });
-    });
-  });
+      await run('COMMIT');
+      return { id: statement.lastID };
+    } catch (err) {
+      await run('ROLLBACK');
+      throw err;
+    }
+  } catch (err) {
+    console.error('Error saving review to database', err.message);
+    throw err;
+  }
 }
 
 /**
- * Retrieves the review history.
- * @param {number} [limit=20] - The number of recent reviews to fetch.
+ * Retrieves the review history, most recent first.
+ * @param {object|number} [filters] - Filters, or the number of recent reviews to fetch.
+ * @param {string} [filters.path] - Only reviews of this path or of paths below it.
+ * @param {string} [filters.branch] - Only reviews made on this branch.
+ * @param {string} [filters.since] - Only reviews at or after this date (YYYY-MM-DD or ISO 8601).
+ * @param {string} [filters.until] - Only reviews at or before this date (YYYY-MM-DD or ISO 8601).
+ * @param {number} [filters.limit=20] - The number of recent reviews to fetch.
  * @returns {Promise<Array<object>>} A promise that resolves to the review history.
  */
-function getHistory(limit = 20) {
-  return new Promise((resolve, reject) => {
-    const sql = `SELECT * FROM reviews ORDER BY timestamp DESC LIMIT ?`;
-    db.all(sql, [limit], (err, rows) => {
-      if (err) {
-        console.error('Error fetching history from database', err.message);
-        return reject(err);
+async function getHistory(filters = {}) {
+  const { path: reviewPath, branch, since, until, limit = 20 } = typeof filters === 'number' ? { limit: filters } : filters;
+  const conditions = [];
+  const params = [];
+
+  if (reviewPath) {
+    const normalized = normalizeReviewPath(reviewPath);
+    conditions.push(`(path = ? OR path LIKE ?)`);
+    params.push(normalized, `${normalized}/%`);
+  }
+  if (branch) {
+    conditions.push('branch = ?');
+    params.push(branch);
+  }
+  if (since) {
+    conditions.push('timestamp >= datetime(?)');
+    params.push(since);
+  }
+  if (until) {
+    // A bare date includes the whole day
+    conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(until) ? `timestamp < datetime(?, '+1 day')` : 'timestamp <= datetime(?)');
+    params.push(until);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const sql = `SELECT * FROM reviews ${where} ORDER BY timestamp DESC, id DESC LIMIT ?`;
+
+  try {
+    await ready;
+    return await all(sql, [...params, limit]);
+  } catch (err) {
+    console.error('Error fetching history from database', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Searches the findings of tracked reviews, most recent first.
+ * By default only open findings are returned: those reported by the latest tracked review of their file.
+ * @param {object} [filters]
+ * @param {string} [filters.path] - Only findings in this path or in paths below it.
+ * @param {string} [filters.kind] - Only findings of this kind (danger, issue, suggestion or fix).
+ * @param {string} [filters.branch] - Only findings from reviews made on this branch.
+ * @param {boolean} [filters.all=false] - Include findings of earlier reviews, not only open ones.
+ * @param {string} [filters.sinceCommit] - Only findings not reported by any review up to this commit (a hash or prefix).
+ * @param {number} [filters.limit=50] - The maximum number of findings to return (-1 for all).
+ * @returns {Promise<Array<object>>} A promise that resolves to the matching findings.
+ */
+async function getFindings(filters = {}) {
+  const { path: findingPath, kind, branch, all: includeAll = false, sinceCommit, limit = 50 } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (kind) {
+    const kinds = Object.values(FINDING_KINDS);
+    if (!kinds.includes(kind)) {
+      throw new Error(`Unknown finding kind "${kind}". Use one of: ${kinds.join(', ')}.`);
+    }
+    conditions.push('f.kind = ?');
+    params.push(kind);
+  }
+  if (findingPath) {
+    const normalized = normalizeReviewPath(findingPath);
+    conditions.push(`(f.path = ? OR f.path LIKE ?)`);
+    params.push(normalized, `${normalized}/%`);
+  }
+  if (branch) {
+    conditions.push('r.branch = ?');
+    params.push(branch);
+  }
+  if (!includeAll) {
+    // The latest tracked result of each file, on the requested branch if any
+    conditions.push(`f.file_id IN (
+      SELECT MAX(rf.id) FROM review_files rf JOIN reviews r2 ON r2.id = rf.review_id
+      ${branch ? 'WHERE r2.branch = ?' : ''} GROUP BY rf.path
+    )`);
+    if (branch) params.push(branch);
+  }
+
+  try {
+    await ready;
+
+    if (sinceCommit) {
+      const [{ id: baselineId }] = await all(`SELECT MAX(id) AS id FROM reviews WHERE commit_hash LIKE ?`, [`${sinceCommit}%`]);
+      if (baselineId === null) {
+        throw new Error(`No tracked review found at commit ${sinceCommit}.`);
       }
-      resolve(rows);
-    });
-  });
+      conditions.push('f.review_id > ?', 'f.fingerprint NOT IN (SELECT fingerprint FROM findings WHERE review_id <= ?)');
+      params.push(baselineId, baselineId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const sql = `
+      SELECT f.id, f.review_id, r.timestamp, f.path, f.kind, f.category, f.severity, f.confidence, f.line, f.end_line, f.description, f.author,
+        f.fingerprint, r.commit_hash, r.branch, r.model, r.profile
+      FROM findings f JOIN reviews r ON r.id = f.review_id
+      ${where}
+      ORDER BY f.review_id DESC, f.path, f.line, f.id
+      LIMIT ?
+    `;
+    return await all(sql, [...params, limit]);
+  } catch (err) {
+    console.error('Error fetching findings from database', err.message);
+    throw err;
+  }
 }
 
 module.exports = {
   addReview,
   getHistory,
-}; 
\ No newline at end of file
+  getFindings,
+};
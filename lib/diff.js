@@ -0,0 +1,216 @@
+// lib/diff.js
+// Unified diff parsing and hunk-scoped review helpers for lucai
+
+const { lowerSeverity } = require('./findings');
+
+const DEFAULT_DIFF_CONTEXT = 5;
+
+// Findings this many lines away from a change still count as being about it,
+// since models often anchor a finding on the enclosing statement.
+const DIFF_LINE_TOLERANCE = 2;
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Parses the hunks of a single-file unified diff.
+ * @param {string} diffText - The output of `git diff` for one file.
+ * @returns {Array<{oldStart: number, oldCount: number, newStart: number, newCount: number, lines: Array<{type: string, text: string, oldLine: number|null, newLine: number|null}>}>}
+ */
+function parseUnifiedDiff(diffText) {
+  const hunks = [];
+  let current = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of (diffText || '').split('\n')) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      current = {
+        oldStart: Number(header[1]),
+        oldCount: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newCount: header[4] === undefined ? 1 : Number(header[4]),
+        lines: [],
+      };
+      oldLine = current.oldStart;
+      newLine = current.newStart;
+      hunks.push(current);
+      continue;
+    }
+    if (!current) continue; // File headers before the first hunk
+
+    if (line.startsWith('+')) {
+      current.lines.push({ type: '+', text: line.slice(1), oldLine: null, newLine: newLine++ });
+    } else if (line.startsWith('-')) {
+      current.lines.push({ type: '-', text: line.slice(1), oldLine: oldLine++, newLine: null });
+    } else if (line.startsWith(' ')) {
+      current.lines.push({ type: ' ', text: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+    }
+    // "\ No newline at end of file" and blank trailing lines are skipped
+  }
+  return hunks;
+}
+
+/**
+ * Collects where the new version of the file changed.
+ * @param {Array<object>} hunks - Hunks from `parseUnifiedDiff`.
+ * @returns {{added: Set<number>, removed: Map<number, Array<string>>}} Added line numbers, and removed
+ * lines keyed by the new-file line they sat in front of.
+ */
+function getChangedLines(hunks) {
+  const added = new Set();
+  const removed = new Map();
+
+  for (const hunk of hunks) {
+    // A hunk that only removes lines reports the line before the removal as its start
+    let nextNewLine = hunk.newCount === 0 ? hunk.newStart + 1 : hunk.newStart;
+    for (const line of hunk.lines) {
+      if (line.type === '-') {
+        const anchor = Math.max(1, nextNewLine);
+        if (!removed.has(anchor)) removed.set(anchor, []);
+        removed.get(anchor).push(line.text);
+      } else {
+        if (line.type === '+') added.add(line.newLine);
+        nextNewLine = line.newLine + 1;
+      }
+    }
+  }
+  return { added, removed };
+}
+
+/**
+ * Whether a line of the new file is part of, or right next to, a change.
+ * @param {number} line - A line number in the new file.
+ * @param {{added: Set<number>, removed: Map<number, Array<string>>}} changedLines - From `getChangedLines`.
+ * @returns {boolean}
+ */
+function isLineInChange(line, changedLines) {
+  for (let candidate = line - DIFF_LINE_TOLERANCE; candidate <= line + DIFF_LINE_TOLERANCE; candidate++) {
+    if (changedLines.added.has(candidate) || changedLines.removed.has(candidate)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Builds the prompt sections for the changed regions of a file.
+ * Each section covers one or more merged hunks plus `contextLines` of surrounding code taken
+ * from the current file, with every line numbered as in the new file and marked when changed.
+ * @param {string} content - The current content of the file.
+ * @param {{added: Set<number>, removed: Map<number, Array<string>>}} changedLines - From `getChangedLines`.
+ * @param {number} [contextLines] - Unchanged lines to include around each change.
+ * @returns {Array<{startLine: number, endLine: number, text: string}>}
+ */
+function buildHunkSections(content, changedLines, contextLines = DEFAULT_DIFF_CONTEXT) {
+  const fileLines = content.split('\n');
+  const anchors = [...changedLines.added, ...changedLines.removed.keys()].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const anchor of anchors) {
+    const start = Math.max(1, anchor - contextLines);
+    const end = Math.min(fileLines.length, anchor + contextLines);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const width = String(fileLines.length).length;
+  return ranges.map(({ start, end }) => {
+    const out = [`@@ Lines ${start}-${end} @@`];
+    for (let line = start; line <= end; line++) {
+      for (const removedText of changedLines.removed.get(line) || []) {
+        out.push(`- ${' '.repeat(width)} | ${removedText}`);
+      }
+      const marker = changedLines.added.has(line) ? '+' : ' ';
+      out.push(`${marker} ${String(line).padStart(width)} | ${fileLines[line - 1]}`);
+    }
+    // Lines removed at the very end of the file have no following line to sit in front of
+    if (end === fileLines.length) {
+      for (const removedText of changedLines.removed.get(end + 1) || []) {
+        out.push(`- ${' '.repeat(width)} | ${removedText}`);
+      }
+    }
+    return { startLine: start, endLine: end, text: out.join('\n') };
+  });
+}
+
+const DIFF_PROMPT_LEGEND = `The code below contains only the changed regions of the file, with surrounding context.
+Each line is prefixed with a marker and its line number in the new version of the file:
+- "+" marks a line that was added or modified by this change.
+- "-" marks a line that was removed by this change (it has no line number).
+- A blank marker is unchanged context, shown only to help you understand the change.
+Review only the added, modified and removed lines. Do not report pre-existing problems in unchanged context.
+Always use the new-file line numbers shown in the listing.`;
+
+/**
+ * Builds the user prompt for a hunk-scoped review.
+ * @param {string} filePath - The path of the reviewed file.
+ * @param {Array<{text: string}>} sections - Sections from `buildHunkSections`.
+ * @returns {string}
+ */
+function buildDiffPrompt(filePath, sections) {
+  return `Please review the changes to the file: ${filePath}\n\n${DIFF_PROMPT_LEGEND}\n\n${sections.map(s => s.text).join('\n\n')}`;
+}
+
+const DOWNGRADES = { dangers: 'issues', issues: 'suggestions', suggestions: null };
+
+/**
+ * Drops or downgrades findings that sit on lines the change did not touch.
+ * With `mode: 'downgrade'`, dangers become issues and issues become suggestions, tagged
+ * with `outsideDiff` and one severity level lower; suggestions and fixes on untouched lines
+ * are always dropped.
+ * Findings without a line number are kept as they are.
+ * @param {object} result - The review result of a file.
+ * @param {{added: Set<number>, removed: Map<number, Array<string>>}} changedLines - From `getChangedLines`.
+ * @param {string} [mode='drop'] - `drop` or `downgrade`.
+ * @returns {object} The result, with the number of dropped findings in `outsideDiffDropped`.
+ */
+function scopeFindingsToDiff(result, changedLines, mode = 'drop') {
+  const scoped = { ...result };
+  // A finding on a range of lines is inside the diff when any of its lines changed
+  const outside = item => {
+    if (!item.line) return false;
+    const endLine = Math.max(Number(item.line), Number(item.endLine) || 0);
+    for (let line = Number(item.line); line <= endLine; line++) {
+      if (isLineInChange(line, changedLines)) return false;
+    }
+    return true;
+  };
+  let dropped = 0;
+
+  for (const section of ['dangers', 'issues', 'suggestions']) {
+    scoped[section] = (result[section] || []).filter(item => !outside(item));
+  }
+  for (const section of ['dangers', 'issues', 'suggestions']) {
+    for (const item of (result[section] || []).filter(outside)) {
+      const target = mode === 'downgrade' ? DOWNGRADES[section] : null;
+      if (target) {
+        scoped[target].push({ ...item, outsideDiff: true, ...(item.severity ? { severity: lowerSeverity(item.severity) } : {}) });
+      } else {
+        dropped++;
+      }
+    }
+  }
+
+  if (result.fix) {
+    scoped.fix = result.fix.filter(item => !outside(item));
+  }
+  if (dropped > 0) {
+    scoped.outsideDiffDropped = dropped;
+  }
+  return scoped;
+}
+
+module.exports = {
+  DEFAULT_DIFF_CONTEXT,
+  parseUnifiedDiff,
+  getChangedLines,
+  isLineInChange,
+  buildHunkSections,
+  buildDiffPrompt,
+  scopeFindingsToDiff,
+};
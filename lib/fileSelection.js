@@ -0,0 +1,237 @@
+// lib/fileSelection.js
+// Which files a review covers: ignore and include rules, languages, binary and generated files
+
+const fs = require('fs');
+const path = require('path');
+const { Minimatch } = require('minimatch');
+
+// Ignored unless re-included with a negated rule, e.g. `!dist/`
+const DEFAULT_IGNORE = ['node_modules/', '.git/', 'dist/', 'build/'];
+
+const LANGUAGE_EXTENSIONS = {
+  javascript: ['.js', '.jsx'],
+  typescript: ['.ts', '.tsx'],
+  python: ['.py'],
+  ruby: ['.rb'],
+  go: ['.go'],
+  java: ['.java'],
+  csharp: ['.cs'],
+};
+
+const LANGUAGE_NAMES = {
+  javascript: 'JavaScript',
+  typescript: 'TypeScript',
+  python: 'Python',
+  ruby: 'Ruby',
+  go: 'Go',
+  java: 'Java',
+  csharp: 'C#',
+};
+
+// File names of generated code and bundles
+const GENERATED_NAMES = [
+  /\.min\.\w+$/,
+  /[.-]bundle\.\w+$/,
+  /\.generated\.\w+$/,
+  /\.(g|designer)\.cs$/,
+  /\.pb(\.gw)?\.go$/,
+  /_pb2(_grpc)?\.py$/,
+];
+// Banners code generators put at the top of the files they write, as the generators write them:
+// a looser "do not edit" would also match hand-written headers
+const GENERATED_MARKER = /@generated\b|^\/\/ Code generated .* DO NOT EDIT\.$|<auto-generated\s*\/?>/;
+const MARKER_LINES = 5;
+// Bytes checked for NUL characters when detecting binary files, as git does
+const BINARY_SNIFF_BYTES = 8000;
+// Minified code has very long lines
+const MINIFIED_LINE_LENGTH = 500;
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Parses ignore rules with .gitignore semantics: `#` comments, `!` negation, a trailing `/` for
+ * directories only, and patterns with a `/` anchored to the directory of their source while the
+ * others match at any depth.
+ * @param {Array<string>} lines - The rules, one per line.
+ * @param {string} [base=''] - The directory the rules are relative to, relative to the root.
+ * @returns {Array<{negated: boolean, directoryOnly: boolean, base: string, matcher: Minimatch}>}
+ */
+function parseIgnoreRules(lines, base = '') {
+  const rules = [];
+  for (const line of lines) {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) continue;
+
+    const negated = pattern.startsWith('!');
+    if (negated) pattern = pattern.slice(1);
+    pattern = pattern.replace(/^\\([#!])/, '$1');
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) continue;
+
+    rules.push({
+      negated,
+      directoryOnly,
+      base,
+      matcher: new Minimatch(anchored ? pattern : `**/${pattern}`, { dot: true }),
+    });
+  }
+  return rules;
+}
+
+/**
+ * Compiles a path glob. Globs without a `/` match file names at any depth, as in `.gitignore`.
+ * @param {string} glob - The glob, relative to the project root.
+ * @returns {Minimatch}
+ */
+function compileGlob(glob) {
+  return new Minimatch(toPosix(glob).replace(/^\//, ''), { dot: true, matchBase: !glob.includes('/') });
+}
+
+/**
+ * The language of a file, for prompts: its name from `LANGUAGE_EXTENSIONS`, or its extension
+ * for extensions added in `.lucai.json`.
+ * @param {string} filePath - The path of the file.
+ * @returns {string} e.g. `JavaScript`, or `vue`.
+ */
+function getLanguage(filePath) {
+  const extension = path.extname(filePath);
+  const language = Object.keys(LANGUAGE_EXTENSIONS).find(name => LANGUAGE_EXTENSIONS[name].includes(extension));
+  return language ? LANGUAGE_NAMES[language] : extension.slice(1) || path.basename(filePath);
+}
+
+function readLines(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8').split(/\r?\n/);
+  } catch (error) {
+    return [];
+  }
+}
+
+// The extensions to review: the configured extensions and languages, or all known languages
+function resolveExtensions(options) {
+  const languages = [].concat(options.languages || []);
+  const unknown = languages.filter(language => !LANGUAGE_EXTENSIONS[language]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown language "${unknown[0]}" in .lucai.json. Known languages: ${Object.keys(LANGUAGE_EXTENSIONS).join(', ')}.`);
+  }
+  const extensions = [
+    ...languages.flatMap(language => LANGUAGE_EXTENSIONS[language]),
+    ...[].concat(options.extensions || []).map(extension => (extension.startsWith('.') ? extension : `.${extension}`)),
+  ];
+  return new Set(extensions.length > 0 ? extensions : Object.values(LANGUAGE_EXTENSIONS).flat());
+}
+
+/**
+ * Creates the file selection of a project, shared by directory scans and diff reviews.
+ * Ignore rules are applied in this order, the last matching rule winning:
+ * the default ignored directories, `.gitignore` files (the root one and those of
+ * subdirectories), `.lucaiignore`, then the `ignore` globs of `.lucai.json`.
+ * A file inside an ignored directory cannot be re-included, as with git.
+ * @param {object} [options] - Project options (.lucai.json merged with the CLI).
+ * @param {Array<string>} [options.ignore] - Ignore globs, with .gitignore syntax.
+ * @param {Array<string>} [options.include] - When set, only files matching one of these globs are reviewed.
+ * @param {Array<string>} [options.languages] - Languages to review (see `LANGUAGE_EXTENSIONS`).
+ * @param {Array<string>} [options.extensions] - Extensions to review, in addition to the languages.
+ * @param {boolean} [options.gitignore=true] - Whether `.gitignore` files apply.
+ * @param {boolean} [options.skipGenerated=true] - Whether generated and minified files are skipped.
+ * @param {string} [root=process.cwd()] - The directory paths are relative to.
+ * @returns {{isSelected: function(string): boolean, isIgnored: function(string, boolean): boolean, getContentSkipReason: function(string, string|Buffer): string|null}}
+ */
+function createFileSelection(options = {}, root = process.cwd()) {
+  const extensions = resolveExtensions(options);
+  const includes = [].concat(options.include || []).map(compileGlob);
+  const useGitignore = options.gitignore !== false;
+  const skipGenerated = options.skipGenerated !== false;
+
+  const rootRules = [
+    ...parseIgnoreRules(DEFAULT_IGNORE),
+    ...(useGitignore ? parseIgnoreRules(readLines(path.join(root, '.gitignore'))) : []),
+  ];
+  const projectRules = [
+    ...parseIgnoreRules(readLines(path.join(root, '.lucaiignore'))),
+    ...parseIgnoreRules([].concat(options.ignore || [])),
+  ];
+  const nestedRules = new Map(); // Memoized rules of .gitignore files in subdirectories
+  const directoryResults = new Map(); // Memoized ignore results of directories
+
+  const gitignoreRulesOf = (directory) => {
+    if (!useGitignore || directory === '') return [];
+    if (!nestedRules.has(directory)) {
+      nestedRules.set(directory, parseIgnoreRules(readLines(path.join(root, directory, '.gitignore')), directory));
+    }
+    return nestedRules.get(directory);
+  };
+
+  // The result of the last rule matching the path itself, without looking at its parents
+  const matchesRules = (relativePath, isDirectory) => {
+    const ancestors = relativePath.split('/').slice(0, -1).map((_, index, parts) => parts.slice(0, index + 1).join('/'));
+    const rules = [...rootRules, ...ancestors.flatMap(gitignoreRulesOf), ...projectRules];
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.base && !relativePath.startsWith(`${rule.base}/`)) continue;
+      const subject = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+      if (rule.matcher.match(subject)) ignored = !rule.negated;
+    }
+    return ignored;
+  };
+
+  const isIgnored = (filePath, isDirectory = false) => {
+    const relativePath = toPosix(filePath);
+    const parts = relativePath.split('/');
+    for (let depth = 1; depth < parts.length; depth++) {
+      const directory = parts.slice(0, depth).join('/');
+      if (!directoryResults.has(directory)) directoryResults.set(directory, matchesRules(directory, true));
+      if (directoryResults.get(directory)) return true;
+    }
+    return matchesRules(relativePath, isDirectory);
+  };
+
+  return {
+    /**
+     * Whether a file path is reviewed: a selected language or extension, included, and not ignored.
+     * @param {string} filePath - The path, relative to the root.
+     * @returns {boolean}
+     */
+    isSelected(filePath) {
+      const relativePath = toPosix(filePath);
+      if (!extensions.has(path.extname(relativePath))) return false;
+      if (includes.length > 0 && !includes.some(matcher => matcher.match(relativePath))) return false;
+      return !isIgnored(relativePath);
+    },
+
+    isIgnored,
+
+    /**
+     * Why a selected file is not reviewed after all, judging by its content.
+     * @param {string} filePath - The path, relative to the root.
+     * @param {string|Buffer} content - The content, or its beginning.
+     * @returns {string|null} `binary`, `generated`, or null when the file should be reviewed.
+     */
+    getContentSkipReason(filePath, content) {
+      const head = Buffer.isBuffer(content) ? content.subarray(0, BINARY_SNIFF_BYTES).toString('latin1') : String(content).slice(0, BINARY_SNIFF_BYTES);
+      if (head.includes('\0')) return 'binary';
+      if (!skipGenerated) return null;
+      if (GENERATED_NAMES.some(pattern => pattern.test(path.basename(filePath)))) return 'generated';
+      const lines = head.split(/\r?\n/);
+      if (lines.slice(0, MARKER_LINES).some(line => GENERATED_MARKER.test(line))) return 'generated';
+      const fullLines = lines.slice(0, -1);
+      if (fullLines.length > 0 && fullLines.reduce((sum, line) => sum + line.length, 0) / fullLines.length > MINIFIED_LINE_LENGTH) return 'generated';
+      if (fullLines.length === 0 && head.length >= BINARY_SNIFF_BYTES) return 'generated'; // One huge line
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  LANGUAGE_EXTENSIONS,
+  parseIgnoreRules,
+  compileGlob,
+  getLanguage,
+  createFileSelection,
+};
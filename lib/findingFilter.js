@@ -0,0 +1,100 @@
+// lib/findingFilter.js
+// Filters on the findings a review reports: minimum severity, categories and minimum confidence
+
+const { FINDING_SECTIONS, FINDING_CATEGORIES, SEVERITY_LEVELS, getFindingSeverity } = require('./findings');
+
+/**
+ * Builds the finding filter from the review options (.lucai.json overridden by CLI flags).
+ * @param {object} options - Merged review options.
+ * @param {string} [options.minSeverity] - The lowest severity reported (critical, high, medium, low).
+ * @param {string|Array<string>} [options.categories] - The categories reported, as a list or comma-separated.
+ * @param {number} [options.minConfidence] - The lowest model confidence reported, from 0 to 1.
+ * @returns {{minSeverity?: string, categories?: Array<string>, minConfidence?: number}|null} Null when nothing is filtered.
+ * @throws {Error} On an unknown severity or category, or a confidence outside 0 to 1.
+ */
+function resolveFindingFilter(options) {
+  const filter = {};
+  if (options.minSeverity) {
+    if (!SEVERITY_LEVELS.includes(options.minSeverity)) {
+      throw new Error(`Invalid minimum severity "${options.minSeverity}". Use one of: ${SEVERITY_LEVELS.join(', ')}.`);
+    }
+    filter.minSeverity = options.minSeverity;
+  }
+  if (options.categories) {
+    const categories = [].concat(options.categories).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean);
+    const unknown = categories.find(category => !FINDING_CATEGORIES.includes(category));
+    if (unknown) {
+      throw new Error(`Invalid category "${unknown}". Use one or more of: ${FINDING_CATEGORIES.join(', ')}.`);
+    }
+    filter.categories = categories;
+  }
+  if (options.minConfidence !== undefined) {
+    const minConfidence = Number(options.minConfidence);
+    if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      throw new Error(`Invalid minimum confidence "${options.minConfidence}". Use a number from 0 to 1.`);
+    }
+    filter.minConfidence = minConfidence;
+  }
+  return Object.keys(filter).length > 0 ? filter : null;
+}
+
+/**
+ * Whether a finding passes a filter. Findings without a confidence, such as findings from
+ * older reports, pass the confidence filter; findings without a category fail the category filter.
+ * @param {object} item - The finding.
+ * @param {string} section - `dangers`, `issues` or `suggestions`.
+ * @param {object} filter - From `resolveFindingFilter`.
+ * @returns {boolean}
+ */
+function matchesFindingFilter(item, section, filter) {
+  if (filter.minSeverity && SEVERITY_LEVELS.indexOf(getFindingSeverity(item, section)) > SEVERITY_LEVELS.indexOf(filter.minSeverity)) {
+    return false;
+  }
+  if (filter.categories && !filter.categories.includes(item.category)) {
+    return false;
+  }
+  if (filter.minConfidence !== undefined && typeof item.confidence === 'number' && item.confidence < filter.minConfidence) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Removes the findings that do not pass a filter from a review result, in place, with the
+ * fixes on their lines unless a finding that passes is on the same line. The number of
+ * removed findings is recorded as `filtered` on each file and on the result.
+ * @param {object} reviewResult - The result of `performReview`.
+ * @param {object} filter - From `resolveFindingFilter`.
+ * @returns {object} The review result.
+ */
+function applyFindingFilter(reviewResult, filter) {
+  let total = 0;
+  for (const fileReview of reviewResult.files || []) {
+    const removedLines = new Set();
+    const keptLines = new Set();
+    let count = 0;
+    for (const section of FINDING_SECTIONS) {
+      if (!fileReview[section]) continue;
+      fileReview[section] = fileReview[section].filter(item => {
+        const kept = matchesFindingFilter(item, section, filter);
+        (kept ? keptLines : removedLines).add(Number(item.line));
+        if (!kept) count++;
+        return kept;
+      });
+    }
+    if (fileReview.fix) {
+      fileReview.fix = fileReview.fix.filter(fix => !removedLines.has(Number(fix.line)) || keptLines.has(Number(fix.line)));
+    }
+    if (count > 0) {
+      fileReview.filtered = count;
+      total += count;
+    }
+  }
+  reviewResult.filtered = total;
+  return reviewResult;
+}
+
+module.exports = {
+  resolveFindingFilter,
+  applyFindingFilter,
+};
@@ -0,0 +1,177 @@
+// lib/findings.js
+// Shared helpers for the findings of a review (dangers, issues, suggestions)
+
+const crypto = require('crypto');
+
+const FINDING_SECTIONS = ['dangers', 'issues', 'suggestions'];
+const FINDING_CATEGORIES = ['security', 'correctness', 'performance', 'style', 'maintainability'];
+// Most severe first
+const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low'];
+// The severity of findings that carry none, such as findings from older reports
+const SECTION_SEVERITIES = { dangers: 'high', issues: 'medium', suggestions: 'low' };
+
+/**
+ * Normalizes finding text so cosmetic differences between runs do not change its identity:
+ * case, quoting, whitespace and numbers (which are often line numbers) are ignored.
+ * @param {string} text - A finding description.
+ * @returns {string}
+ */
+function normalizeFindingText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[`'"“”‘’]/g, '')
+    .replace(/\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// './src\\a.js' and 'src/a.js' must give the same fingerprint, whichever way lucai was invoked
+function toFingerprintPath(filePath) {
+  return String(filePath).replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+// The flagged source lines, whitespace-normalized, or null when the finding points at no code
+function getFlaggedSource(item, lines) {
+  const line = Number(item.line);
+  if (!lines || !(line >= 1 && line <= lines.length)) {
+    return null;
+  }
+  const endLine = Math.min(Math.max(Number(item.endLine) || line, line), lines.length);
+  const source = lines.slice(line - 1, endLine).map(text => text.trim().replace(/\s+/g, ' ')).join('\n').trim();
+  return source || null;
+}
+
+/**
+ * Computes a stable identifier for a finding from what it is about, not how the model worded
+ * it: its category (the rule of static findings, `fix` for fixes) and the normalized source of
+ * the lines it flags. The line number is deliberately left out, so the same finding keeps its
+ * fingerprint when code above it moves. The description stands in for the source when the
+ * source is unknown. Findings from `addFingerprints` keep the fingerprint they carry.
+ * @param {string} filePath - The file the finding belongs to.
+ * @param {string} section - `dangers`, `issues`, `suggestions` or `fix`.
+ * @param {object} item - The finding.
+ * @param {Array<string>} [lines] - The lines of the file.
+ * @returns {string} A 16-character hex fingerprint.
+ */
+function getFindingFingerprint(filePath, section, item, lines) {
+  if (item.fingerprint) {
+    return item.fingerprint;
+  }
+  let kind = item.category || section;
+  if (section === 'fix') kind = 'fix';
+  else if (item.source === 'static') kind = `static/${item.rule}`;
+  const subject = getFlaggedSource(item, lines) || normalizeFindingText(item.description || item.explanation);
+  return crypto.createHash('sha1').update([toFingerprintPath(filePath), kind, subject].join('\0')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Sets the `fingerprint` of every finding and fix of a file review, from the source of the
+ * file, so baselines, history and published comments can still match them once the file is gone.
+ * @param {object} result - The review of the file.
+ * @param {string} filePath - The path of the file.
+ * @param {string} [content] - The source of the file.
+ * @returns {object} A new review result.
+ */
+function addFingerprints(result, filePath, content) {
+  const lines = typeof content === 'string' ? content.split('\n') : null;
+  const fingerprinted = { ...result };
+  for (const section of [...FINDING_SECTIONS, 'fix']) {
+    if (result[section]) {
+      fingerprinted[section] = result[section].map(item => ({ ...item, fingerprint: getFindingFingerprint(filePath, section, item, lines) }));
+    }
+  }
+  return fingerprinted;
+}
+
+/**
+ * Works out which lines a diff-like fix snippet replaces: the `-` and context lines are the
+ * original code, starting at the fix line, and the `+` and context lines are the replacement.
+ * Snippets without removed lines give no reliable range.
+ * @param {object} fix - A fix with `line` and `code`.
+ * @returns {{startLine: number, endLine: number, original: Array<string>, replacement: Array<string>}|null}
+ */
+function parseFixSnippet(fix) {
+  const lines = String(fix.code || '').split('\n');
+  if (!fix.line || !lines.some(line => line.startsWith('-'))) {
+    return null;
+  }
+  const original = lines.filter(line => !line.startsWith('+'));
+  return {
+    startLine: Number(fix.line),
+    endLine: Number(fix.line) + original.length - 1,
+    original: original.map(line => line.replace(/^[- ]/, '')),
+    replacement: lines.filter(line => !line.startsWith('-')).map(line => line.replace(/^[+ ]/, '')),
+  };
+}
+
+/**
+ * The severity of a finding: its own, or the default of its section.
+ * @param {object} item - The finding.
+ * @param {string} section - `dangers`, `issues` or `suggestions`.
+ * @returns {string} One of `SEVERITY_LEVELS`.
+ */
+function getFindingSeverity(item, section) {
+  return SEVERITY_LEVELS.includes(item.severity) ? item.severity : SECTION_SEVERITIES[section];
+}
+
+/**
+ * The severity some levels below (positive steps) or above (negative steps) another, within
+ * `SEVERITY_LEVELS`.
+ * @param {string} severity - One of `SEVERITY_LEVELS`.
+ * @param {number} steps - Levels to move down.
+ * @returns {string}
+ */
+function shiftSeverity(severity, steps) {
+  const index = SEVERITY_LEVELS.indexOf(severity);
+  return index === -1 ? severity : SEVERITY_LEVELS[Math.min(Math.max(index + steps, 0), SEVERITY_LEVELS.length - 1)];
+}
+
+/**
+ * The severity one level below another; `low` stays `low`.
+ * @param {string} severity - One of `SEVERITY_LEVELS`.
+ * @returns {string}
+ */
+function lowerSeverity(severity) {
+  return shiftSeverity(severity, 1);
+}
+
+/**
+ * Formats the line or line range of a finding, e.g. `42` or `42-45`.
+ * @param {object} item - The finding.
+ * @returns {string} `N/A` when the finding has no line.
+ */
+function formatLineRange(item) {
+  if (!item.line) return 'N/A';
+  return Number(item.endLine) > Number(item.line) ? `${item.line}-${item.endLine}` : String(item.line);
+}
+
+/**
+ * Formats the category, severity and confidence of a finding, those it has, e.g.
+ * `security, high, 80% confidence`. Findings of static analysis say so instead of a confidence.
+ * @param {object} item - The finding.
+ * @returns {string} Empty when the finding has none of them.
+ */
+function formatFindingDetails(item) {
+  const details = [item.category, item.severity];
+  if (item.source === 'static') {
+    details.push('static analysis');
+  } else if (typeof item.confidence === 'number') {
+    details.push(`${Math.round(item.confidence * 100)}% confidence`);
+  }
+  return details.filter(Boolean).join(', ');
+}
+
+module.exports = {
+  FINDING_SECTIONS,
+  FINDING_CATEGORIES,
+  SEVERITY_LEVELS,
+  getFindingSeverity,
+  shiftSeverity,
+  lowerSeverity,
+  formatLineRange,
+  formatFindingDetails,
+  normalizeFindingText,
+  getFindingFingerprint,
+  addFingerprints,
+  parseFixSnippet,
+};
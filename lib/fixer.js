@@ -0,0 +1,221 @@
+// lib/fixer.js
+// Turns the fixes of a review into edits, unified patches and safe file writes
+
+const fs = require('fs');
+const path = require('path');
+const { parseFixSnippet } = require('./findings');
+
+// Unchanged lines shown around each change in previews and patches
+const FIX_CONTEXT = 3;
+
+function splitLines(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const trailingNewline = lines[lines.length - 1] === '';
+  if (trailingNewline) lines.pop();
+  return { lines, eol, trailingNewline };
+}
+
+function sameCode(a, b) {
+  return a.trim() === b.trim();
+}
+
+// The line where `original` starts: the expected line if it matches there, or else the
+// closest place it matches, since the file may have moved since the review.
+function locateOriginal(lines, original, expectedStart) {
+  const matchesAt = (start) => original.every((text, offset) => lines[start - 1 + offset] !== undefined && sameCode(lines[start - 1 + offset], text));
+  if (matchesAt(expectedStart)) {
+    return expectedStart;
+  }
+  let best = null;
+  for (let start = 1; start + original.length - 1 <= lines.length; start++) {
+    if (matchesAt(start) && (best === null || Math.abs(start - expectedStart) < Math.abs(best - expectedStart))) {
+      best = start;
+    }
+  }
+  return best;
+}
+
+// Models often drop the indentation of the code around a fix; restore it on the replacement.
+function reindent(replacement, fileLine, snippetLine) {
+  const fileIndent = fileLine.match(/^\s*/)[0];
+  const snippetIndent = snippetLine.match(/^\s*/)[0];
+  if (fileIndent.length <= snippetIndent.length || !fileIndent.startsWith(snippetIndent)) {
+    return replacement;
+  }
+  const extra = fileIndent.slice(snippetIndent.length);
+  return replacement.map(line => (line.trim() === '' ? line : extra + line));
+}
+
+/**
+ * Matches the fixes of a review result against the current files. Each fix becomes an edit
+ * that replaces a line range, or carries the `reason` it cannot be applied.
+ * @param {object} reviewResult - The result of `performReview`, or a saved JSON report.
+ * @param {function(string): string} readFile - Reads a reviewed file by its report path.
+ * @returns {Array<{path: string, content?: string, error?: string, edits: Array<object>}>}
+ *   One entry per file with fixes. Edits have `fix`, `startLine`, `endLine`, `replacement` and `reason`.
+ */
+function planFixes(reviewResult, readFile) {
+  const plans = [];
+  for (const fileReview of reviewResult.files || []) {
+    if (!fileReview.fix || fileReview.fix.length === 0) continue;
+
+    let content;
+    try {
+      content = readFile(fileReview.path);
+    } catch (error) {
+      plans.push({ path: fileReview.path, error: `Could not read file: ${error.message}`, edits: [] });
+      continue;
+    }
+    const { lines } = splitLines(content);
+
+    const edits = fileReview.fix.map(fix => {
+      const snippet = parseFixSnippet(fix);
+      if (!snippet) {
+        return { fix, reason: 'The fix does not say which lines it replaces.' };
+      }
+      const startLine = locateOriginal(lines, snippet.original, snippet.startLine);
+      if (startLine === null) {
+        return { fix, reason: 'The code the fix replaces was not found; the file has changed since the review.' };
+      }
+      return {
+        fix,
+        startLine,
+        endLine: startLine + snippet.original.length - 1,
+        replacement: reindent(snippet.replacement, lines[startLine - 1], snippet.original[0]),
+        ...(startLine !== snippet.startLine ? { movedFrom: snippet.startLine } : {}),
+      };
+    });
+    plans.push({ path: fileReview.path, content, edits });
+  }
+  return plans;
+}
+
+/**
+ * Checks whether an edit overlaps one of the given edits.
+ * @param {object} edit - An edit from `planFixes`.
+ * @param {Array<object>} edits - Edits already accepted for the same file.
+ * @returns {object|undefined} The first overlapping edit.
+ */
+function findOverlap(edit, edits) {
+  return edits.find(other => edit.startLine <= other.endLine && other.startLine <= edit.endLine);
+}
+
+/**
+ * Applies non-overlapping edits to file content, keeping its line endings.
+ * @param {string} content - The original file content.
+ * @param {Array<object>} edits - Edits from `planFixes`.
+ * @returns {string} The new content.
+ */
+function applyEdits(content, edits) {
+  const { lines, eol, trailingNewline } = splitLines(content);
+  // Bottom-up, so earlier line numbers stay valid
+  for (const edit of [...edits].sort((a, b) => b.startLine - a.startLine)) {
+    lines.splice(edit.startLine - 1, edit.endLine - edit.startLine + 1, ...edit.replacement);
+  }
+  return lines.join(eol) + (trailingNewline ? eol : '');
+}
+
+function formatRange(start, count) {
+  return count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Builds unified diff hunks for edits, with `FIX_CONTEXT` lines of context.
+ * Edits whose context touches are merged into one hunk.
+ * @param {string} content - The original file content.
+ * @param {Array<object>} edits - Non-overlapping edits from `planFixes`.
+ * @returns {string} The hunks, each starting with an `@@` header.
+ */
+function buildHunks(content, edits) {
+  const { lines, trailingNewline } = splitLines(content);
+  const sorted = [...edits].sort((a, b) => a.startLine - b.startLine);
+
+  const groups = [];
+  for (const edit of sorted) {
+    const last = groups[groups.length - 1];
+    if (last && edit.startLine - FIX_CONTEXT <= last.end + FIX_CONTEXT + 1) {
+      last.edits.push(edit);
+      last.end = edit.endLine;
+    } else {
+      groups.push({ edits: [edit], end: edit.endLine });
+    }
+  }
+
+  let delta = 0;
+  let out = '';
+  for (const group of groups) {
+    const oldStart = Math.max(1, group.edits[0].startLine - FIX_CONTEXT);
+    const oldEnd = Math.min(lines.length, group.end + FIX_CONTEXT);
+    const body = [];
+    let line = oldStart;
+    let groupDelta = 0;
+
+    for (const edit of group.edits) {
+      for (; line < edit.startLine; line++) body.push({ text: ` ${lines[line - 1]}`, old: line });
+      for (; line <= edit.endLine; line++) body.push({ text: `-${lines[line - 1]}`, old: line });
+      for (const text of edit.replacement) body.push({ text: `+${text}`, added: true });
+      groupDelta += edit.replacement.length - (edit.endLine - edit.startLine + 1);
+    }
+    for (; line <= oldEnd; line++) body.push({ text: ` ${lines[line - 1]}`, old: line });
+
+    if (!trailingNewline && oldEnd === lines.length) {
+      // The last line of each side has no newline
+      const lastOld = body.map(entry => entry.old === lines.length).lastIndexOf(true);
+      const lastNew = body.map(entry => entry.added || entry.text.startsWith(' ')).lastIndexOf(true);
+      for (const index of [...new Set([lastOld, lastNew])].filter(index => index >= 0).sort((a, b) => b - a)) {
+        body.splice(index + 1, 0, { text: '\\ No newline at end of file' });
+      }
+    }
+
+    const oldCount = oldEnd - oldStart + 1;
+    const newCount = oldCount + groupDelta;
+    out += `@@ -${formatRange(oldStart, oldCount)} +${formatRange(oldStart + delta, newCount)} @@\n`;
+    out += body.map(entry => entry.text).join('\n') + '\n';
+    delta += groupDelta;
+  }
+  return out;
+}
+
+/**
+ * Builds a unified patch for one file, applicable with `git apply` or `patch -p1`.
+ * @param {string} filePath - The file path, relative to the repository root.
+ * @param {string} content - The original file content.
+ * @param {Array<object>} edits - Non-overlapping edits from `planFixes`.
+ * @returns {string}
+ */
+function createPatch(filePath, content, edits) {
+  const uri = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  let hunks = buildHunks(content, edits);
+  if (splitLines(content).eol === '\r\n') {
+    // Patch lines must carry the line endings of the file to apply
+    hunks = hunks.replace(/^([ +-].*)$/gm, '$1\r');
+  }
+  return `--- a/${uri}\n+++ b/${uri}\n${hunks}`;
+}
+
+/**
+ * Writes the fixed content of a file, unless the file changed since it was read.
+ * The write goes through a temporary file so an interrupted run never leaves half a file.
+ * @param {string} filePath - The file to write.
+ * @param {string} originalContent - The content the edits were planned against.
+ * @param {string} newContent - The fixed content.
+ */
+function writeFixedFile(filePath, originalContent, newContent) {
+  const absolutePath = path.resolve(filePath);
+  if (fs.readFileSync(absolutePath, 'utf-8') !== originalContent) {
+    throw new Error(`${filePath} changed while fixes were being reviewed; it was left untouched.`);
+  }
+  const tmpPath = `${absolutePath}.lucai-${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, newContent, { mode: fs.statSync(absolutePath).mode });
+  fs.renameSync(tmpPath, absolutePath);
+}
+
+module.exports = {
+  planFixes,
+  findOverlap,
+  applyEdits,
+  buildHunks,
+  createPatch,
+  writeFixedFile,
+};
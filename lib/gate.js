@@ -0,0 +1,92 @@
+// lib/gate.js
+// Quality gate evaluated after a review, for CI exit codes
+
+const EXIT_CODES = {
+  OK: 0,
+  GATE_FAILED: 1, // The code failed review
+  ERROR: 2, // The review could not run
+};
+
+const FAIL_ON_LEVELS = {
+  danger: ['dangers'],
+  issue: ['dangers', 'issues'],
+  suggestion: ['dangers', 'issues', 'suggestions'],
+};
+
+/**
+ * Builds the gate settings from the `gate` section of .lucai.json, overridden by CLI flags.
+ * @param {object} options - Merged review options.
+ * @returns {{failOn?: string, minScore?: number, maxIssues?: number}|null} Null when no threshold is set.
+ */
+function resolveGateConfig(options) {
+  const gate = { ...(options.gate || {}) };
+  if (options.failOn !== undefined) gate.failOn = options.failOn;
+  if (options.minScore !== undefined) gate.minScore = Number(options.minScore);
+  if (options.maxIssues !== undefined) gate.maxIssues = Number(options.maxIssues);
+
+  if (gate.failOn && !FAIL_ON_LEVELS[gate.failOn]) {
+    throw new Error(`Invalid fail-on level "${gate.failOn}". Use one of: ${Object.keys(FAIL_ON_LEVELS).join(', ')}.`);
+  }
+  for (const key of ['minScore', 'maxIssues']) {
+    if (gate[key] !== undefined && Number.isNaN(Number(gate[key]))) {
+      throw new Error(`Invalid gate threshold ${key}: ${gate[key]}`);
+    }
+  }
+
+  const hasThreshold = gate.failOn || gate.minScore !== undefined || gate.maxIssues !== undefined;
+  return hasThreshold ? gate : null;
+}
+
+// Baselined findings are known debt and never fail the gate, even when shown
+function countFindings(reviewResult, sections) {
+  return (reviewResult.files || []).reduce(
+    (total, fileReview) => total + sections.reduce(
+      (sum, section) => sum + (fileReview[section] || []).filter(item => !item.baselined).length,
+      0
+    ),
+    0
+  );
+}
+
+/**
+ * Checks a review result against the gate thresholds.
+ * @param {object} reviewResult - The result of `performReview`.
+ * @param {{failOn?: string, minScore?: number, maxIssues?: number}} gate - From `resolveGateConfig`.
+ * @returns {{passed: boolean, failures: Array<string>, notes: Array<string>}}
+ */
+function evaluateGate(reviewResult, gate) {
+  const failures = [];
+  const notes = [];
+
+  if (gate.failOn) {
+    for (const section of FAIL_ON_LEVELS[gate.failOn]) {
+      const count = countFindings(reviewResult, [section]);
+      if (count > 0) {
+        failures.push(`fail-on ${gate.failOn}: found ${count} ${section}`);
+      }
+    }
+  }
+
+  if (gate.minScore !== undefined) {
+    if (reviewResult.score === undefined) {
+      notes.push('min-score was not checked: the review has no overall score, as it covered a single file or reviewed no file');
+    } else if (reviewResult.score < gate.minScore) {
+      failures.push(`min-score: overall score ${reviewResult.score} is below ${gate.minScore}`);
+    }
+  }
+
+  if (gate.maxIssues !== undefined) {
+    const count = countFindings(reviewResult, ['dangers', 'issues']);
+    if (count > gate.maxIssues) {
+      failures.push(`max-issues: found ${count} dangers and issues, more than the ${gate.maxIssues} allowed`);
+    }
+  }
+
+  return { passed: failures.length === 0, failures, notes };
+}
+
+module.exports = {
+  EXIT_CODES,
+  resolveGateConfig,
+  evaluateGate,
+};
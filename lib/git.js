@@ -1,69 +1,202 @@
 const { simpleGit } = require('simple-git');
 const fs = require('fs').promises;
 const path = require('path');
-const minimatch = require('minimatch');
+const { createFileSelection } = require('./fileSelection');
 
 const git = simpleGit();
-let ignorePatterns = null; // Memoized patterns
 
-async function loadIgnorePatterns() {
-  if (ignorePatterns !== null) {
-    return ignorePatterns; // Return memoized result
-  }
-
-  const ignoreFilePath = path.join(process.cwd(), '.lucaiignore');
+/**
+ * Checks that a ref names a commit, so a typo fails with a clear message.
+ * @param {string} ref - A branch, tag, sha or revision expression.
+ */
+async function verifyRef(ref) {
+  let sha = '';
   try {
-    const ignoreFileContent = await fs.readFile(ignoreFilePath, 'utf-8');
-    ignorePatterns = ignoreFileContent.split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
-  } catch (err) {
-    ignorePatterns = [];
+    sha = await git.raw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  } catch (error) {
+    // Reported below
+  }
+  if (!sha.trim()) {
+    throw new Error(`Unknown git ref: ${ref}`);
   }
-  return ignorePatterns;
 }
 
 /**
- * Gets the content of files that have changed in the pull request.
- * In GitHub Actions, this compares the PR branch with the target branch.
- * @returns {Promise<Array<{path: string, content: string, diff: string}>>} A promise that resolves to an array of file objects with their diff.
+ * Works out what a diff review compares.
+ * Ref ranges use merge-base semantics (`base...head`), the way GitHub, GitLab and Bitbucket
+ * compute pull/merge request diffs: only the changes made on `head` since it forked from `base`.
+ * @param {object} [options]
+ * @param {string} [options.base] - The ref to compare against.
+ * @param {string} [options.head] - The ref being reviewed. Default: HEAD.
+ * @param {boolean} [options.staged] - Review staged changes against HEAD.
+ * @param {boolean} [options.workingTree] - Review all uncommitted changes against HEAD, new untracked files included.
+ * @returns {Promise<{diffArgs: Array<string>, description: string, readFile: function(string): Promise<string>, includeUntracked?: boolean}>}
  */
-async function getChangedFiles() {
-  await loadIgnorePatterns();
+async function resolveDiffRange(options = {}) {
+  const { staged, workingTree, head } = options;
+  if ([staged, workingTree, options.base || head].filter(Boolean).length > 1) {
+    throw new Error('Use only one of --staged, --working-tree or --base/--head.');
+  }
+
+  if (staged) {
+    return {
+      diffArgs: ['--cached'],
+      description: 'staged changes',
+      readFile: (filePath) => git.show([`:${filePath}`]),
+    };
+  }
+  if (workingTree) {
+    return {
+      diffArgs: ['HEAD'],
+      description: 'uncommitted changes',
+      readFile: (filePath) => fs.readFile(path.resolve(filePath), 'utf-8'),
+      // `git diff HEAD` only knows tracked files
+      includeUntracked: true,
+    };
+  }
 
   // Use consistent comparison logic for GitHub Actions
   const baseBranch = process.env.GITHUB_BASE_REF;
-  const diffArgs = process.env.GITHUB_ACTIONS && baseBranch
-    ? ['origin/' + baseBranch, 'HEAD']
-    : ['HEAD~1'];
+  const defaultBase = process.env.GITHUB_ACTIONS && baseBranch ? 'origin/' + baseBranch : 'HEAD~1';
+  const base = options.base || defaultBase;
+  const headRef = head || 'HEAD';
+  await verifyRef(base);
+  await verifyRef(headRef);
+
+  return {
+    diffArgs: [`${base}...${headRef}`],
+    description: `${base}...${headRef}`,
+    readFile: (filePath) => git.show([`${headRef}:${filePath}`]),
+  };
+}
+
+const STATUS_NAMES = {
+  A: 'added',
+  M: 'modified',
+  T: 'type-changed',
+  R: 'renamed',
+  C: 'copied',
+  D: 'deleted',
+};
+
+/**
+ * Parses the output of `git diff --name-status -z`.
+ * Records are NUL-separated: a status letter (with a similarity score for renames and
+ * copies, e.g. `R087`) followed by one path, or by the old and new paths for renames and copies.
+ * Unmerged and unknown entries are skipped.
+ * @param {string} output - The raw command output.
+ * @returns {Array<{status: string, path: string, oldPath?: string, similarity?: number}>}
+ */
+function parseNameStatus(output) {
+  const fields = output.split('\0');
+  const changes = [];
+
+  for (let i = 0; i < fields.length && fields[i]; ) {
+    const code = fields[i++];
+    const letter = code.charAt(0);
+    if (letter === 'R' || letter === 'C') {
+      const oldPath = fields[i++];
+      const newPath = fields[i++];
+      changes.push({ status: STATUS_NAMES[letter], path: newPath, oldPath, similarity: Number(code.slice(1)) || undefined });
+    } else {
+      const filePath = fields[i++];
+      if (STATUS_NAMES[letter]) {
+        changes.push({ status: STATUS_NAMES[letter], path: filePath });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Lists the untracked files that are not ignored, as added files.
+ * @returns {Promise<Array<{status: string, path: string, untracked: boolean}>>}
+ */
+async function getUntrackedFiles() {
+  const output = await git.raw(['ls-files', '--others', '--exclude-standard', '-z']);
+  return output.split('\0').filter(Boolean).map(filePath => ({ status: 'added', path: filePath, untracked: true }));
+}
+
+// The diff git would show for a new file, for files git does not track yet
+function buildAddedFileDiff(filePath, content) {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return [
+    `diff --git a/${filePath} b/${filePath}`,
+    'new file mode 100644',
+    '--- /dev/null',
+    `+++ b/${filePath}`,
+    `@@ -0,0 +1,${lines.length} @@`,
+    ...lines.map(line => `+${line}`),
+  ].join('\n');
+}
+
+/**
+ * Gets the content of files that have changed in the selected diff range.
+ * In GitHub Actions, this compares the PR branch with the target branch by default.
+ * Renamed and copied files carry their `oldPath`; deleted files are returned without content
+ * so they can be listed in the report. Working-tree reviews include untracked files that are
+ * not ignored, as added files. Files outside the file selection of the project and binary files
+ * are left out; generated files carry `generated` instead of their content.
+ * @param {object} [options] - Range selection, see `resolveDiffRange`, and project options for
+ * the file selection, see `createFileSelection`.
+ * @returns {Promise<Array<{path: string, status: string, oldPath?: string, content?: string, generated?: boolean, diff: string}>>} A promise that resolves to an array of file objects with their diff.
+ */
+async function getChangedFiles(options = {}) {
+  const selection = createFileSelection(options);
+  const { diffArgs, readFile, includeUntracked } = await resolveDiffRange(options);
 
   try {
     // Use git.raw for more flexibility and to avoid shell injection
-    const diffSummaryOutput = await git.raw(['diff', '--summary', ...diffArgs]);
+    const nameStatusOutput = await git.raw(['diff', '--name-status', '-z', '-M', '-C', ...diffArgs]);
+    const changes = parseNameStatus(nameStatusOutput);
+    if (includeUntracked) {
+      changes.push(...await getUntrackedFiles());
+    }
     const files = [];
 
-    // Parse the diff summary output
-    const lines = diffSummaryOutput.split('\n').filter(line => line.trim());
-
-    for (const line of lines) {
-      // Parse diff summary line format: "mode mode hash hash file"
-      const parts = line.split(/\s+/);
-      if (parts.length >= 5) {
-        const filePath = parts.slice(4).join(' '); // Handle filenames with spaces
-
-        const isIgnored = ignorePatterns.some(pattern => minimatch(filePath, pattern, { dot: true }));
-        if (isIgnored) {
-          continue;
-        }
+    for (const { untracked, ...change } of changes) {
+      if (!selection.isSelected(change.path)) {
+        continue;
+      }
 
+      if (untracked) {
         try {
-          const content = await fs.readFile(path.resolve(filePath), 'utf-8');
-          const diffOutput = await git.raw(['diff', ...diffArgs, '--', filePath]);
-          files.push({ path: filePath, content, diff: diffOutput });
-        } catch (error) {
-          // Ignore errors for deleted files or files that can't be read
-          if (error.code !== 'ENOENT') {
-            console.warn(`Could not read file: ${filePath}`, error);
+          const content = await readFile(change.path);
+          const skipReason = selection.getContentSkipReason(change.path, content);
+          if (skipReason === 'generated') {
+            files.push({ ...change, generated: true, diff: buildAddedFileDiff(change.path, content) });
+          } else if (!skipReason) {
+            files.push({ ...change, content, diff: buildAddedFileDiff(change.path, content) });
           }
+        } catch (error) {
+          console.warn(`Could not read file: ${change.path}`, error.message);
         }
+        continue;
+      }
+
+      // A rename diffs against its old path; a copy is diffed alone, as the new file it is,
+      // so the changes made to its source are not mixed in
+      const pathspec = change.status === 'renamed' ? [change.oldPath, change.path] : [change.path];
+      const diffOutput = await git.raw(['diff', '-M', '-C', ...diffArgs, '--', ...pathspec]);
+
+      if (change.status === 'deleted') {
+        files.push({ ...change, diff: diffOutput });
+        continue;
+      }
+
+      try {
+        const content = await readFile(change.path);
+        const skipReason = selection.getContentSkipReason(change.path, content);
+        if (skipReason === 'generated') {
+          files.push({ ...change, generated: true, diff: diffOutput });
+        } else if (!skipReason) {
+          files.push({ ...change, content, diff: diffOutput });
+        }
+      } catch (error) {
+        console.warn(`Could not read file: ${change.path}`, error.message);
       }
     }
 
@@ -113,7 +246,24 @@ async function getBlameForFile(filePath) {
   }
 }
 
+/**
+ * Gets the current commit and branch, for recording alongside a review.
+ * @returns {Promise<{commit: string|null, branch: string|null}>} Nulls outside a git repository.
+ */
+async function getCommitInfo() {
+  try {
+    const commit = (await git.raw(['rev-parse', 'HEAD'])).trim() || null;
+    const branch = (await git.raw(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+    return { commit, branch: branch && branch !== 'HEAD' ? branch : null }; // HEAD means detached
+  } catch (error) {
+    return { commit: null, branch: null };
+  }
+}
+
 module.exports = {
+  resolveDiffRange,
+  parseNameStatus,
   getChangedFiles,
   getBlameForFile,
+  getCommitInfo,
 }; 
\ No newline at end of file
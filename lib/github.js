@@ -0,0 +1,356 @@
+// lib/github.js
+// Publishes a lucai review as a native GitHub pull request review with inline comments
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { parseUnifiedDiff } = require('./diff');
+const { getFindingFingerprint, formatFindingDetails } = require('./findings');
+const { planFixes } = require('./fixer');
+const { getItemProfiles, formatProfileScores } = require('./profiles');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const SUMMARY_MARKER = '<!-- lucai:summary -->';
+const RESOLVED_MARKER = '<!-- lucai:resolved -->';
+// Comments of earlier versions carry no line
+const FINGERPRINT_MARKER = /<!-- lucai:finding ([0-9a-f]+)(?: line (\d+))? -->/;
+
+// The author of comments posted with the GITHUB_TOKEN of GitHub Actions
+const ACTIONS_BOT_LOGIN = 'github-actions[bot]';
+
+const INLINE_SECTIONS = {
+  dangers: '🛑 **Danger**',
+  issues: '⚠️ **Issue**',
+  fix: '🛠️ **Fix**',
+};
+
+/**
+ * Creates a minimal GitHub REST client.
+ * @param {object} options
+ * @param {string} options.token - A token allowed to write pull request reviews.
+ * @param {string} [options.apiUrl] - The API root, e.g. for GitHub Enterprise or a mock server.
+ * @returns {{request: function, paginate: function}}
+ */
+function createGitHubClient({ token, apiUrl = DEFAULT_API_URL }) {
+  const root = apiUrl.replace(/\/+$/, '');
+
+  async function request(method, route, body) {
+    const response = await fetch(`${root}${route}`, {
+      method,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'User-Agent': 'lucai-cli',
+        'X-GitHub-Api-Version': '2022-11-28',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!response.ok) {
+      const error = new Error(`GitHub API ${method} ${route} failed: ${response.status} ${(data && data.message) || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  async function paginate(route) {
+    const items = [];
+    const separator = route.includes('?') ? '&' : '?';
+    for (let page = 1; ; page++) {
+      const batch = await request('GET', `${route}${separator}per_page=100&page=${page}`);
+      items.push(...batch);
+      if (batch.length < 100) return items;
+    }
+  }
+
+  return { request, paginate };
+}
+
+/**
+ * Resolves which pull request to publish to, from explicit options first and then the
+ * GitHub Actions environment (`GITHUB_REPOSITORY`, `GITHUB_EVENT_PATH`, `GITHUB_TOKEN`).
+ * @param {object} [options] - `repo` (owner/name), `pr`, `commit`, `token`, `apiUrl`.
+ * @returns {{owner: string, repo: string, pullNumber: number, commitId?: string, token: string, apiUrl: string}}
+ */
+function getPullRequestContext(options = {}) {
+  let event = {};
+  if (process.env.GITHUB_EVENT_PATH && fs.existsSync(process.env.GITHUB_EVENT_PATH)) {
+    try {
+      event = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf-8'));
+    } catch (error) {
+      console.warn(`Could not read the GitHub event payload: ${error.message}`);
+    }
+  }
+  const pullRequest = event.pull_request || {};
+
+  const repository = options.repo || process.env.GITHUB_REPOSITORY;
+  const pullNumber = Number(options.pr || pullRequest.number);
+  const token = options.token || process.env.GITHUB_TOKEN;
+
+  if (!repository || !repository.includes('/')) {
+    throw new Error('GitHub repository not found. Use --repo <owner/name> or set GITHUB_REPOSITORY.');
+  }
+  if (!pullNumber) {
+    throw new Error('Pull request number not found. Use --pr <number> or run inside a pull_request workflow.');
+  }
+  if (!token) {
+    throw new Error('GitHub token not found. Use --token or set GITHUB_TOKEN.');
+  }
+
+  const [owner, repo] = repository.split('/');
+  return {
+    owner,
+    repo,
+    pullNumber,
+    commitId: options.commit || (pullRequest.head && pullRequest.head.sha),
+    token,
+    apiUrl: options.apiUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL,
+  };
+}
+
+/**
+ * Lists the lines of each pull request file that accept a review comment: added and
+ * unchanged lines inside a hunk, on the right-hand side of the diff.
+ * @param {Array<{filename: string, patch?: string}>} prFiles - From the pull request files endpoint.
+ * @returns {Map<string, Set<number>>}
+ */
+function getCommentableLines(prFiles) {
+  const commentable = new Map();
+  for (const prFile of prFiles) {
+    const lines = new Set();
+    for (const hunk of parseUnifiedDiff(prFile.patch || '')) {
+      for (const line of hunk.lines) {
+        if (line.newLine !== null) lines.add(line.newLine);
+      }
+    }
+    commentable.set(prFile.filename, lines);
+  }
+  return commentable;
+}
+
+/**
+ * Maps a path from a review result onto a pull request file. Reviews run from a
+ * subdirectory report paths relative to it, so a unique suffix match is accepted.
+ * @param {string} reviewPath - The path in the review result.
+ * @param {Array<string>} prPaths - The paths of the pull request files.
+ * @returns {string|null}
+ */
+function matchPullRequestPath(reviewPath, prPaths) {
+  const normalized = reviewPath.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (prPaths.includes(normalized)) return normalized;
+  const matches = prPaths.filter(prPath => prPath.endsWith(`/${normalized}`));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function readCheckedOutFile(filePath) {
+  return fs.readFileSync(path.resolve(filePath), 'utf-8');
+}
+
+/**
+ * Builds the inline comments for a review result. Fixes become one-click suggestions only when
+ * the code they replace is found in the file, as `lucai fix` checks it, and the whole range is
+ * in the diff; other fixes are shown as plain diffs.
+ * @param {object} reviewResult - The result of `performReview`.
+ * @param {Map<string, Set<number>>} commentable - From `getCommentableLines`.
+ * @param {function(string): string} [readFile] - Reads a reviewed file by its report path. Default: from the working directory.
+ * @returns {{comments: Array<object>, outside: Array<object>}} Comments that can be anchored in the
+ * diff, and findings that cannot (to be listed in the summary instead).
+ */
+function buildReviewComments(reviewResult, commentable, readFile = readCheckedOutFile) {
+  const comments = [];
+  const outside = [];
+  const prPaths = [...commentable.keys()];
+
+  for (const fileReview of reviewResult.files || []) {
+    const prPath = matchPullRequestPath(fileReview.path, prPaths);
+    const lines = prPath ? commentable.get(prPath) : new Set();
+    const [plan] = planFixes({ files: [fileReview] }, readFile);
+
+    for (const [section, label] of Object.entries(INLINE_SECTIONS)) {
+      for (const [index, item] of (fileReview[section] || []).entries()) {
+        const fingerprint = getFindingFingerprint(fileReview.path, section, item);
+        const line = Number(item.line);
+        if (!prPath || !lines.has(line)) {
+          outside.push({ path: fileReview.path, section, item });
+          continue;
+        }
+
+        const profiles = getItemProfiles(item);
+        let body = `${label}${profiles.length > 0 ? ` (${profiles.join(', ')})` : ''}: ${item.description || item.explanation}`;
+        const details = formatFindingDetails(item);
+        if (details) {
+          body += `\n\n<sub>${details}</sub>`;
+        }
+        const comment = { path: prPath, line, side: 'RIGHT', fingerprint, findingLine: line };
+        const endLine = Number(item.endLine);
+        if (section !== 'fix' && endLine > line && Array.from({ length: endLine - line }, (_, i) => line + i + 1).every(l => lines.has(l))) {
+          // Findings on a range span it, when the whole range is in the diff
+          comment.start_line = line;
+          comment.start_side = 'RIGHT';
+          comment.line = endLine;
+        }
+        if (section === 'fix') {
+          // The edit `lucai fix` would make: none when the replaced code is not in the file
+          const edit = plan && !plan.error ? plan.edits[index] : null;
+          let suggestionFits = !!edit && !edit.reason && edit.startLine === line;
+          for (let l = line; suggestionFits && l <= edit.endLine; l++) {
+            suggestionFits = lines.has(l);
+          }
+          if (suggestionFits) {
+            body += '\n\n```suggestion\n' + edit.replacement.join('\n') + '\n```';
+            if (edit.endLine > line) {
+              comment.start_line = line;
+              comment.start_side = 'RIGHT';
+              comment.line = edit.endLine;
+            }
+          } else if (item.code) {
+            body += '\n\n```diff\n' + item.code + '\n```';
+          }
+        }
+        comment.body = `${body}\n\n<!-- lucai:finding ${fingerprint} line ${line} -->`;
+        comments.push(comment);
+      }
+    }
+  }
+  return { comments, outside };
+}
+
+function buildSummaryBody(reviewResult, outside) {
+  let body = `${SUMMARY_MARKER}\n## 🤖 lucai review\n`;
+  if (reviewResult.score !== undefined) {
+    body += `\n**Overall Quality Score: ${reviewResult.score}/100**\n`;
+  }
+  if (reviewResult.profileScores) {
+    body += `\n**Profile scores:** ${formatProfileScores(reviewResult.profileScores)}\n`;
+  }
+  if (reviewResult.summary) {
+    body += `\n${reviewResult.summary}\n`;
+  }
+
+  const suggestions = [];
+  for (const fileReview of reviewResult.files || []) {
+    for (const item of fileReview.suggestions || []) {
+      suggestions.push(`- \`${fileReview.path}\` line ${item.line || 'N/A'}: ${item.description}`);
+    }
+  }
+  if (suggestions.length > 0) {
+    body += `\n### 💡 Suggestions\n${suggestions.join('\n')}\n`;
+  }
+  if (outside.length > 0) {
+    body += `\n### Findings outside the diff\n`;
+    body += outside
+      .map(({ path, section, item }) => `- ${INLINE_SECTIONS[section]} \`${path}\` line ${item.line || 'N/A'}: ${item.description || item.explanation}`)
+      .join('\n') + '\n';
+  }
+  return body;
+}
+
+/**
+ * The login lucai's comments are posted as, so only its own earlier comments are updated:
+ * anyone can write a comment that carries its markers. The GITHUB_TOKEN of Actions cannot
+ * read `/user`, and posts as github-actions[bot].
+ * @param {object} client - From `createGitHubClient`.
+ * @returns {Promise<string>}
+ */
+async function getTokenLogin(client) {
+  try {
+    return (await client.request('GET', '/user')).login;
+  } catch (error) {
+    if (process.env.GITHUB_ACTIONS && (error.status === 401 || error.status === 403)) {
+      return ACTIONS_BOT_LOGIN;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Publishes a review result to a pull request.
+ * New findings become inline comments of a single review. On re-runs, lucai's earlier
+ * comments, those posted with the same token, are matched by fingerprint: still-present
+ * findings are updated in place, and findings that are gone are marked as resolved. The
+ * summary is kept in one PR comment.
+ * @param {object} reviewResult - The result of `performReview`.
+ * @param {object} [options] - See `getPullRequestContext`.
+ * @returns {Promise<{created: number, updated: number, resolved: number, outside: number}>}
+ */
+async function publishGitHubReview(reviewResult, options = {}) {
+  const context = getPullRequestContext(options);
+  const client = createGitHubClient(context);
+  const prRoute = `/repos/${context.owner}/${context.repo}/pulls/${context.pullNumber}`;
+  const issueRoute = `/repos/${context.owner}/${context.repo}/issues/${context.pullNumber}`;
+
+  const prFiles = await client.paginate(`${prRoute}/files`);
+  const { comments, outside } = buildReviewComments(reviewResult, getCommentableLines(prFiles));
+  const login = await getTokenLogin(client);
+  const isOwn = comment => comment.user && comment.user.login === login;
+
+  // lucai's earlier inline comments, by their fingerprint and line
+  const existing = [];
+  for (const comment of await client.paginate(`${prRoute}/comments`)) {
+    const match = isOwn(comment) && (comment.body || '').match(FINGERPRINT_MARKER);
+    if (match) existing.push({ fingerprint: match[1], line: match[2] ? Number(match[2]) : null, comment });
+  }
+
+  const stats = { created: 0, updated: 0, resolved: 0, outside: outside.length };
+  const newComments = [];
+  const matched = new Set();
+
+  for (const comment of comments) {
+    // Each earlier comment matches one finding: on the same line first, so equal findings on
+    // different lines stay apart, then anywhere, for findings whose code has moved
+    const candidates = existing.filter(entry => entry.fingerprint === comment.fingerprint && !matched.has(entry));
+    const previous = candidates.find(entry => entry.line === comment.findingLine) || candidates[0];
+    const { fingerprint, findingLine, ...payload } = comment;
+    if (!previous) {
+      newComments.push(payload);
+      continue;
+    }
+    matched.add(previous);
+    if (previous.comment.body !== comment.body) {
+      await client.request('PATCH', `/repos/${context.owner}/${context.repo}/pulls/comments/${previous.comment.id}`, { body: comment.body });
+      stats.updated++;
+    }
+  }
+
+  for (const entry of existing) {
+    const { fingerprint, comment: previous } = entry;
+    if (matched.has(entry) || previous.body.includes(RESOLVED_MARKER)) continue;
+    const original = previous.body.replace(FINGERPRINT_MARKER, '').trim();
+    const body = `✅ **Resolved**: no longer reported by lucai.\n\n<details>\n<summary>Original comment</summary>\n\n${original}\n\n</details>\n\n${RESOLVED_MARKER}\n<!-- lucai:finding ${fingerprint}${entry.line ? ` line ${entry.line}` : ''} -->`;
+    await client.request('PATCH', `/repos/${context.owner}/${context.repo}/pulls/comments/${previous.id}`, { body });
+    stats.resolved++;
+  }
+
+  if (newComments.length > 0) {
+    await client.request('POST', `${prRoute}/reviews`, {
+      ...(context.commitId ? { commit_id: context.commitId } : {}),
+      body: `lucai found ${newComments.length} new finding(s) in this pull request.`,
+      event: 'COMMENT',
+      comments: newComments,
+    });
+    stats.created = newComments.length;
+  }
+
+  // Keep a single summary comment, updated in place on re-runs
+  const summaryBody = buildSummaryBody(reviewResult, outside);
+  const issueComments = await client.paginate(`${issueRoute}/comments`);
+  const previousSummary = issueComments.find(comment => isOwn(comment) && (comment.body || '').includes(SUMMARY_MARKER));
+  if (previousSummary) {
+    await client.request('PATCH', `/repos/${context.owner}/${context.repo}/issues/comments/${previousSummary.id}`, { body: summaryBody });
+  } else {
+    await client.request('POST', `${issueRoute}/comments`, { body: summaryBody });
+  }
+
+  return stats;
+}
+
+module.exports = {
+  createGitHubClient,
+  getPullRequestContext,
+  getCommentableLines,
+  buildReviewComments,
+  publishGitHubReview,
+};
@@ -0,0 +1,175 @@
+// lib/historyReport.js
+// Terminal tables, sparklines and exports for the review history and tracked findings
+
+const chalk = require('chalk');
+
+const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+const HISTORY_COLUMNS = ['timestamp', 'path', 'score', 'branch', 'commit_hash', 'model', 'profile', 'input_tokens', 'output_tokens', 'cost'];
+const FINDING_COLUMNS = ['timestamp', 'path', 'line', 'end_line', 'kind', 'category', 'severity', 'confidence', 'description', 'author', 'fingerprint', 'branch', 'commit_hash', 'model', 'profile'];
+
+const KIND_COLORS = {
+  danger: chalk.red,
+  issue: chalk.yellow,
+  suggestion: chalk.cyan,
+  fix: chalk.magenta,
+};
+
+/**
+ * Renders scores (0-100) as a sparkline, one character per score.
+ * @param {Array<number>} values - The scores, oldest first.
+ * @returns {string}
+ */
+function sparkline(values) {
+  return values
+    .map(value => SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.max(0, Math.floor((value / 100) * SPARK_CHARS.length)))])
+    .join('');
+}
+
+function colorScore(score) {
+  if (score === null || score === undefined) return chalk.gray('-');
+  if (score >= 80) return chalk.green(score);
+  if (score >= 50) return chalk.yellow(score);
+  return chalk.red(score);
+}
+
+/**
+ * Formats history rows as a terminal table.
+ * @param {Array<object>} rows - Rows from `getHistory`.
+ * @returns {string}
+ */
+function formatHistoryTable(rows) {
+  if (rows.length === 0) {
+    return chalk.yellow('No tracked reviews found. Run `lucai review --track` to start recording scores.');
+  }
+  const pathWidth = Math.max(4, ...rows.map(row => row.path.length));
+  const header = `${'Date'.padEnd(19)}  ${'Path'.padEnd(pathWidth)}  Score  ${'Branch'.padEnd(16)}  Commit   Model / Profile`;
+  const lines = rows.map(row => [
+    row.timestamp.padEnd(19),
+    row.path.padEnd(pathWidth),
+    colorScore(row.score) + ' '.repeat(Math.max(0, 5 - String(row.score ?? '-').length)),
+    (row.branch || '-').padEnd(16),
+    (row.commit_hash ? row.commit_hash.slice(0, 7) : '-').padEnd(7),
+    chalk.gray([row.model, row.profile].filter(Boolean).join(' / ') || '-'),
+  ].join('  '));
+  return [chalk.bold(header), ...lines].join('\n');
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rowsToCsv(rows, columns) {
+  return [columns.join(','), ...rows.map(row => columns.map(column => escapeCsv(row[column])).join(','))].join('\n') + '\n';
+}
+
+function rowsToJson(rows, columns) {
+  return JSON.stringify(rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]]))), null, 2) + '\n';
+}
+
+/**
+ * Exports history rows as CSV.
+ * @param {Array<object>} rows - Rows from `getHistory`.
+ * @returns {string}
+ */
+function historyToCsv(rows) {
+  return rowsToCsv(rows, HISTORY_COLUMNS);
+}
+
+/**
+ * Exports history rows as JSON.
+ * @param {Array<object>} rows - Rows from `getHistory`.
+ * @returns {string}
+ */
+function historyToJson(rows) {
+  return rowsToJson(rows, HISTORY_COLUMNS);
+}
+
+/**
+ * Formats tracked findings as a terminal listing, one finding per line.
+ * @param {Array<object>} rows - Rows from `getFindings`.
+ * @returns {string}
+ */
+function formatFindingsTable(rows) {
+  if (rows.length === 0) {
+    return chalk.yellow('No matching findings. Findings are recorded by `lucai review --track`.');
+  }
+  const locations = rows.map(row => (row.line ? `${row.path}:${row.line}` : row.path));
+  const locationWidth = Math.max(8, ...locations.map(location => location.length));
+  const header = `${'Date'.padEnd(19)}  ${'Location'.padEnd(locationWidth)}  ${'Kind'.padEnd(10)}  Description`;
+  const lines = rows.map((row, index) => [
+    row.timestamp.padEnd(19),
+    locations[index].padEnd(locationWidth),
+    (KIND_COLORS[row.kind] || chalk.white)(row.kind.padEnd(10)),
+    `${row.description || ''}${row.author ? chalk.gray(` (${row.author})`) : ''}`,
+  ].join('  '));
+  return [chalk.bold(header), ...lines].join('\n');
+}
+
+/**
+ * Exports tracked findings as CSV.
+ * @param {Array<object>} rows - Rows from `getFindings`.
+ * @returns {string}
+ */
+function findingsToCsv(rows) {
+  return rowsToCsv(rows, FINDING_COLUMNS);
+}
+
+/**
+ * Exports tracked findings as JSON.
+ * @param {Array<object>} rows - Rows from `getFindings`.
+ * @returns {string}
+ */
+function findingsToJson(rows) {
+  return rowsToJson(rows, FINDING_COLUMNS);
+}
+
+/**
+ * Renders one score trend per path: a sparkline of its tracked scores, oldest first,
+ * with the latest score and the change since the first point shown.
+ * @param {Array<object>} rows - Rows from `getHistory`, in any order.
+ * @param {number} [points=30] - The most recent scores to plot per path.
+ * @returns {string}
+ */
+function formatTrends(rows, points = 30) {
+  // Single-file reviews are tracked without an overall score
+  const scored = rows.filter(row => row.score !== null && row.score !== undefined);
+  if (scored.length === 0) {
+    return chalk.yellow('No tracked reviews found. Run `lucai review --track` to start recording scores.');
+  }
+
+  const byPath = new Map();
+  const chronological = [...scored].sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.id - b.id);
+  for (const row of chronological) {
+    if (!byPath.has(row.path)) byPath.set(row.path, []);
+    byPath.get(row.path).push(row.score);
+  }
+
+  const pathWidth = Math.max(4, ...[...byPath.keys()].map(p => p.length));
+  const lines = [chalk.bold(`${'Path'.padEnd(pathWidth)}  ${'Trend'.padEnd(points)}  Latest  Change  Reviews`)];
+  for (const [reviewPath, allScores] of byPath) {
+    const scores = allScores.slice(-points);
+    const change = scores[scores.length - 1] - scores[0];
+    const changeText = change > 0 ? chalk.green(`+${change}`) : change < 0 ? chalk.red(String(change)) : chalk.gray('0');
+    lines.push([
+      reviewPath.padEnd(pathWidth),
+      chalk.cyan(sparkline(scores).padEnd(points)),
+      colorScore(scores[scores.length - 1]) + ' '.repeat(Math.max(0, 6 - String(scores[scores.length - 1]).length)),
+      changeText + ' '.repeat(Math.max(0, 6 - String(change > 0 ? `+${change}` : change).length)),
+      String(allScores.length),
+    ].join('  '));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  sparkline,
+  formatHistoryTable,
+  historyToCsv,
+  historyToJson,
+  formatTrends,
+  formatFindingsTable,
+  findingsToCsv,
+  findingsToJson,
+};
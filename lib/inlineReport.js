@@ -0,0 +1,179 @@
+// lib/inlineReport.js
+// Annotated source listing: findings printed beneath the lines they refer to
+
+const chalk = require('chalk');
+const { getItemProfiles, formatProfileScores } = require('./profiles');
+const { formatMetrics } = require('./staticAnalysis');
+const { formatRedactions } = require('./redaction');
+const { formatFindingDetails } = require('./findings');
+
+// Unannotated lines shown around each finding; longer runs are collapsed.
+const INLINE_CONTEXT = 3;
+
+const MARKERS = {
+  dangers: { label: 'DANGER', symbol: '●', color: chalk.red },
+  issues: { label: 'ISSUE', symbol: '●', color: chalk.yellow },
+  suggestions: { label: 'SUGGESTION', symbol: '●', color: chalk.cyan },
+  good_practices: { label: 'GOOD', symbol: '●', color: chalk.green },
+  fix: { label: 'FIX', symbol: '✎', color: chalk.magenta },
+};
+
+function paint(useChalk, color, text) {
+  return useChalk ? color(text) : text;
+}
+
+/**
+ * Groups the findings of a file by line. Findings without a usable line go under `general`.
+ * @param {object} fileReview - A per-file review result.
+ * @param {number} lineCount - The number of lines in the file.
+ * @returns {{byLine: Map<number, Array<{section: string, item: object}>>, general: Array<{section: string, item: object}>}}
+ */
+function groupFindingsByLine(fileReview, lineCount) {
+  const byLine = new Map();
+  const general = [];
+  for (const section of Object.keys(MARKERS)) {
+    for (const item of fileReview[section] || []) {
+      const line = Number(item.line);
+      if (line >= 1 && line <= lineCount) {
+        if (!byLine.has(line)) byLine.set(line, []);
+        byLine.get(line).push({ section, item });
+      } else {
+        general.push({ section, item });
+      }
+    }
+  }
+  return { byLine, general };
+}
+
+function formatAnnotation({ section, item }, indent, useChalk) {
+  const marker = MARKERS[section];
+  const text = item.description || item.explanation || '';
+  const range = Number(item.endLine) > Number(item.line) ? `to line ${item.endLine}` : '';
+  const details = [range, formatFindingDetails(item)].filter(Boolean).join(', ');
+  const detailTag = details ? paint(useChalk, chalk.dim, ` (${details})`) : '';
+  const author = item.author ? paint(useChalk, chalk.dim, ` (${item.author})`) : '';
+  const baselined = item.baselined ? paint(useChalk, chalk.dim, ' [baselined]') : '';
+  const profiles = getItemProfiles(item);
+  const profileTag = profiles.length > 0 ? paint(useChalk, chalk.dim, ` [${profiles.join(', ')}]`) : '';
+  let out = `${indent}${paint(useChalk, marker.color, `└─ ${marker.label}:`)} ${text}${detailTag}${author}${profileTag}${baselined}\n`;
+
+  if (section === 'fix' && item.code) {
+    for (const codeLine of item.code.split('\n')) {
+      let colored = codeLine;
+      if (codeLine.startsWith('+')) colored = paint(useChalk, chalk.green, codeLine);
+      else if (codeLine.startsWith('-')) colored = paint(useChalk, chalk.red, codeLine);
+      out += `${indent}   ${colored}\n`;
+    }
+  }
+  return out;
+}
+
+/**
+ * Renders one file as an annotated source listing.
+ * @param {object} fileReview - A per-file review result.
+ * @param {string} content - The source of the file.
+ * @param {boolean} useChalk - Whether to colour the output.
+ * @returns {string}
+ */
+function formatInlineFile(fileReview, content, useChalk) {
+  let out = paint(useChalk, chalk.bold.underline, `\n📄 ${fileReview.path}`) + '\n';
+  if (fileReview.score !== undefined && fileReview.headline) {
+    out += `Score: ${fileReview.score}/100 | ${fileReview.headline}\n`;
+  }
+  if (fileReview.profileScores) {
+    out += `Profile scores: ${formatProfileScores(fileReview.profileScores)}\n`;
+  }
+  if (fileReview.metrics) {
+    out += `Metrics: ${formatMetrics(fileReview.metrics)}\n`;
+  }
+  if (fileReview.skipped) {
+    return out + `${fileReview.skipped} Not reviewed.\n`;
+  }
+  if (fileReview.suppressed) {
+    out += paint(useChalk, chalk.dim, `${fileReview.suppressed} finding(s) suppressed by lucai-disable comments.`) + '\n';
+  }
+  if (fileReview.filtered) {
+    out += paint(useChalk, chalk.dim, `${fileReview.filtered} finding(s) below the severity, category or confidence filters hidden.`) + '\n';
+  }
+  if (fileReview.redactions) {
+    out += paint(useChalk, chalk.dim, `🔒 ${fileReview.redactions.length} secret(s) redacted before sending: ${formatRedactions(fileReview.redactions)}.`) + '\n';
+  }
+  if (fileReview.error) {
+    out += paint(useChalk, chalk.red, `${fileReview.failed ? 'Review failed' : 'Review incomplete'}: ${fileReview.error}`) + '\n';
+    if (fileReview.failed) return out;
+  }
+
+  const lines = content.split('\n');
+  const width = String(lines.length).length;
+  const blankGutter = ' '.repeat(width + 3);
+  const { byLine, general } = groupFindingsByLine(fileReview, lines.length);
+
+  for (const finding of general) {
+    out += formatAnnotation(finding, `${blankGutter}│ `, useChalk);
+  }
+
+  const visible = new Set();
+  for (const line of byLine.keys()) {
+    for (let l = line - INLINE_CONTEXT; l <= line + INLINE_CONTEXT; l++) visible.add(l);
+  }
+
+  let collapsed = 0;
+  for (let lineNumber = 1; lineNumber <= lines.length; lineNumber++) {
+    if (!visible.has(lineNumber)) {
+      collapsed++;
+      continue;
+    }
+    if (collapsed > 0) {
+      out += paint(useChalk, chalk.dim, `${blankGutter}⋮ ${collapsed} line(s)`) + '\n';
+      collapsed = 0;
+    }
+
+    const findings = byLine.get(lineNumber) || [];
+    const worst = findings.length > 0 ? MARKERS[findings[0].section] : null;
+    const gutterMark = worst ? paint(useChalk, worst.color, worst.symbol) : ' ';
+    const number = paint(useChalk, chalk.dim, String(lineNumber).padStart(width));
+    out += `${gutterMark} ${number} │ ${lines[lineNumber - 1]}\n`;
+
+    for (const finding of findings) {
+      out += formatAnnotation(finding, `${blankGutter}│ `, useChalk);
+    }
+  }
+  if (collapsed > 0) {
+    out += paint(useChalk, chalk.dim, `${blankGutter}⋮ ${collapsed} line(s)`) + '\n';
+  }
+  return out;
+}
+
+/**
+ * Generates the inline report for a review result.
+ * @param {object} reviewData - The result of `performReview`.
+ * @param {Array<{path: string, content?: string}>} files - The reviewed files, for their source.
+ * @param {boolean} [useChalk=false] - Whether to colour the output.
+ * @returns {string}
+ */
+function generateInlineReport(reviewData, files, useChalk = false) {
+  const contents = new Map(files.map(file => [file.path, file.content]));
+  let report = '';
+  if (reviewData.score !== undefined) {
+    report += paint(useChalk, chalk.bold, `📊 Overall Quality Score: ${reviewData.score}/100`) + '\n';
+  }
+  if (reviewData.profileScores) {
+    report += `Profile scores: ${formatProfileScores(reviewData.profileScores)}\n`;
+  }
+  if (reviewData.summary) {
+    report += `\n${reviewData.summary}\n`;
+  }
+  for (const fileReview of reviewData.files || []) {
+    report += formatInlineFile(fileReview, contents.get(fileReview.path) || '', useChalk);
+  }
+  return report;
+}
+
+function printInlineReport(reviewData, files) {
+  console.log(generateInlineReport(reviewData, files, true));
+}
+
+module.exports = {
+  generateInlineReport,
+  printInlineReport,
+};
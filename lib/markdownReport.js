@@ -1,10 +1,31 @@
 const chalk = require('chalk');
+const { formatUsage } = require('./usage');
+const { getItemProfiles, formatProfileScores } = require('./profiles');
+const { formatMetrics } = require('./staticAnalysis');
+const { formatRedactions } = require('./redaction');
+const { formatLineRange, formatFindingDetails } = require('./findings');
+
+function formatProfiles(item) {
+  const profiles = getItemProfiles(item);
+  return profiles.length > 0 ? `, Profile: ${profiles.join(', ')}` : '';
+}
 
 function formatSection(title, items, useChalk = true) {
   if (!items || items.length === 0) return '';
   let section = `### ${title}\n`;
   items.forEach(item => {
-    let lineInfo = `Line ${item.line || 'N/A'}`;
+    let lineInfo = `Line ${formatLineRange(item)}`;
+    const details = formatFindingDetails(item);
+    if (details) {
+      lineInfo += `, ${details}`;
+    }
+    if (item.outsideDiff) {
+      lineInfo += ', unchanged code';
+    }
+    if (item.baselined) {
+      lineInfo += ', baselined';
+    }
+    lineInfo += formatProfiles(item);
     if (item.author) {
       lineInfo += `, Author: ${item.author}`;
     }
@@ -19,6 +40,10 @@ function formatFixes(title, items, useChalk = true) {
   let section = `### ${title}\n`;
   items.forEach(item => {
     let lineInfo = `Line ${item.line || 'N/A'}`;
+    if (item.baselined) {
+      lineInfo += ', baselined';
+    }
+    lineInfo += formatProfiles(item);
     if (item.author) {
       lineInfo += `, Author: ${item.author}`;
     }
@@ -39,17 +64,56 @@ function formatFixes(title, items, useChalk = true) {
 
 function formatFileReview(fileReview, useChalk = false) {
   let report = '';
-  const fileHeader = useChalk ? chalk.bold.underline(`\n\n## 📄 File: ${fileReview.path}`) : `\n\n## 📄 File: ${fileReview.path}`;
+  const fileTitle = fileReview.oldPath
+    ? `${fileReview.oldPath} → ${fileReview.path} (${fileReview.status})`
+    : fileReview.status === 'deleted' ? `${fileReview.path} (deleted)` : fileReview.path;
+  const fileHeader = useChalk ? chalk.bold.underline(`\n\n## 📄 File: ${fileTitle}`) : `\n\n## 📄 File: ${fileTitle}`;
   report += `${fileHeader}\n`;
 
   if (fileReview.diff) {
     report += `<details>\n<summary>View Changes</summary>\n\n\`\`\`diff\n${fileReview.diff}\n\`\`\`\n\n</details>\n\n`;
   }
 
+  if (fileReview.skipped) {
+    report += `*${fileReview.skipped} Not reviewed.*\n\n`;
+  }
+
+  if (fileReview.error) {
+    const label = fileReview.failed ? '❌ Review failed' : '⚠️ Review incomplete';
+    report += `**${label}:** ${fileReview.error}\n\n`;
+  }
+
   if (fileReview.score !== undefined && fileReview.headline) {
     report += `**Score: ${fileReview.score}/100** | *${fileReview.headline}*\n`;
   }
+
+  if (fileReview.profileScores) {
+    report += `*Profile scores: ${formatProfileScores(fileReview.profileScores)}*\n`;
+  }
+  if (fileReview.metrics) {
+    report += `*Metrics: ${formatMetrics(fileReview.metrics)}*\n`;
+  }
   
+  if (fileReview.outsideDiffDropped) {
+    report += `*${fileReview.outsideDiffDropped} finding(s) on unchanged lines were omitted.*\n`;
+  }
+
+  if (fileReview.suppressed) {
+    report += `*${fileReview.suppressed} finding(s) suppressed by lucai-disable comments.*\n`;
+  }
+
+  if (fileReview.baselineHidden) {
+    report += `*${fileReview.baselineHidden} baselined finding(s) were hidden.*\n`;
+  }
+
+  if (fileReview.filtered) {
+    report += `*${fileReview.filtered} finding(s) below the severity, category or confidence filters were hidden.*\n`;
+  }
+
+  if (fileReview.redactions) {
+    report += `*🔒 ${fileReview.redactions.length} secret(s) redacted before sending: ${formatRedactions(fileReview.redactions)}.*\n`;
+  }
+
   report += formatSection('🛑 Dangers', fileReview.dangers, useChalk);
   report += formatSection('⚠️ Issues', fileReview.issues, useChalk);
   report += formatSection('💡 Suggestions', fileReview.suggestions, useChalk);
@@ -70,6 +134,22 @@ function generateMarkdownReport(reviewData, useChalk = false, reviewType = 'stan
   if (reviewData.score !== undefined) {
     report += `\n## 📊 Overall Quality Score: ${reviewData.score}/100\n`;
   }
+
+  if (reviewData.profileScores) {
+    report += `\n**Profile scores:** ${formatProfileScores(reviewData.profileScores)}\n`;
+  }
+
+  if (reviewData.suppressed) {
+    report += `\n*${reviewData.suppressed} finding(s) suppressed by lucai-disable comments.*\n`;
+  }
+
+  if (reviewData.filtered) {
+    report += `\n*${reviewData.filtered} finding(s) below the severity, category or confidence filters were hidden.*\n`;
+  }
+
+  if (reviewData.usage && reviewData.usage.requests > 0) {
+    report += `\n*Usage: ${formatUsage(reviewData.usage)}.*\n`;
+  }
   
   if (reviewData.summary) {
     report += `\n## 📝 Executive Summary\n\n${reviewData.summary}\n`;
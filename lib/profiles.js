@@ -0,0 +1,319 @@
+// lib/profiles.js
+// Review profiles: the profiles a run uses, and the merge of their reviews of a file
+
+const { FINDING_SECTIONS, normalizeFindingText, shiftSeverity } = require('./findings');
+const { addUsage, createUsage } = require('./usage');
+const { compileGlob } = require('./fileSelection');
+
+const DEFAULT_PROFILE = 'default';
+const PROFILE_FIELDS = ['instructions', 'focus', 'severity', 'model', 'temperature', 'include', 'exclude'];
+// Finding kinds a profile can re-rank with `severity`; `off` drops the findings of a kind
+const SEVERITY_SECTIONS = { danger: 'dangers', issue: 'issues', suggestion: 'suggestions' };
+// Share of words two findings on the same line must have in common to count as one
+const NEAR_DUPLICATE_SIMILARITY = 0.5;
+
+/**
+ * Parses the `--profile` option: one profile name, or several separated by commas.
+ * @param {string} [profileOption] - The option value.
+ * @returns {Array<string>} The distinct profile names, in order; `default` when none is given.
+ */
+function parseProfiles(profileOption) {
+  const names = String(profileOption || '').split(',').map(name => name.trim()).filter(Boolean);
+  return names.length > 0 ? [...new Set(names)] : [DEFAULT_PROFILE];
+}
+
+/**
+ * Checks that profiles exist in `reviewProfiles`. `default` always exists: without its own
+ * entry it is the built-in review prompt.
+ * @param {Array<string>} profiles - Profile names from `parseProfiles`.
+ * @param {object} [reviewProfiles] - The `reviewProfiles` of `.lucai.json`.
+ * @throws {Error} On an unknown profile, so a typo does not silently run a default review.
+ */
+function validateProfiles(profiles, reviewProfiles = {}) {
+  const unknown = profiles.find(profile => profile !== DEFAULT_PROFILE && !reviewProfiles[profile]);
+  if (unknown) {
+    const known = [DEFAULT_PROFILE, ...Object.keys(reviewProfiles).filter(name => name !== DEFAULT_PROFILE)];
+    throw new Error(`Unknown review profile "${unknown}". Available profiles: ${known.join(', ')}.`);
+  }
+}
+
+function toList(value) {
+  return [].concat(value || []).map(String);
+}
+
+/**
+ * Resolves a profile of `reviewProfiles` to its settings. A profile is either a string, the
+ * instructions that replace the built-in ones, or an object with any of `PROFILE_FIELDS`:
+ * `instructions`, `focus` (added to the instructions), `severity` (e.g. `{ "issue": "danger" }`),
+ * `model`, `temperature`, and `include` / `exclude` globs of the files it reviews.
+ * @param {string} name - The profile name.
+ * @param {object} [reviewProfiles] - The `reviewProfiles` of `.lucai.json`.
+ * @returns {object} The profile, with `name`, and `include`, `exclude` and `severity` always set.
+ * @throws {Error} When the profile definition is invalid.
+ */
+function resolveProfile(name, reviewProfiles = {}) {
+  const definition = reviewProfiles[name];
+  const invalid = (problem) => new Error(`Invalid review profile "${name}" in .lucai.json: ${problem}`);
+  if (definition === undefined || typeof definition === 'string') {
+    return { name, instructions: definition, include: [], exclude: [], severity: {} };
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw invalid('it must be a string or an object.');
+  }
+
+  const unknown = Object.keys(definition).find(field => !PROFILE_FIELDS.includes(field));
+  if (unknown) {
+    throw invalid(`unknown field "${unknown}". Known fields: ${PROFILE_FIELDS.join(', ')}.`);
+  }
+  const { temperature } = definition;
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    throw invalid('"temperature" must be a number from 0 to 2.');
+  }
+  const severity = definition.severity || {};
+  for (const [kind, target] of Object.entries(severity)) {
+    if (!SEVERITY_SECTIONS[kind] || (target !== 'off' && !SEVERITY_SECTIONS[target])) {
+      throw invalid(`"severity" maps finding kinds (${Object.keys(SEVERITY_SECTIONS).join(', ')}) to a kind or "off", got "${kind}": "${target}".`);
+    }
+  }
+
+  return {
+    name,
+    instructions: definition.instructions,
+    focus: Array.isArray(definition.focus) ? definition.focus.map(line => `- ${line}`).join('\n') : definition.focus,
+    severity,
+    model: definition.model,
+    temperature,
+    include: toList(definition.include),
+    exclude: toList(definition.exclude),
+  };
+}
+
+/**
+ * Creates the filter of the files a profile reviews: those matching one of its `include`
+ * globs, if any, and none of its `exclude` globs.
+ * @param {object} profile - A profile from `resolveProfile`.
+ * @returns {function(string): boolean} Whether the profile reviews a file path.
+ */
+function createProfileFilter(profile) {
+  const includes = profile.include.map(compileGlob);
+  const excludes = profile.exclude.map(compileGlob);
+  return (filePath) => {
+    const relativePath = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (includes.length > 0 && !includes.some(matcher => matcher.match(relativePath))) return false;
+    return !excludes.some(matcher => matcher.match(relativePath));
+  };
+}
+
+/**
+ * Applies the `severity` overrides of a profile to a review: findings of a kind move to the
+ * section of the kind they map to, or are dropped for `off`. A moved finding's `severity`
+ * moves by as many levels as it moved sections, so filters, gates and SARIF levels agree.
+ * @param {object} result - A review result.
+ * @param {object} severity - The overrides, e.g. `{ "issue": "danger", "suggestion": "off" }`.
+ * @returns {object} The result with its findings moved.
+ */
+function applySeverityOverrides(result, severity) {
+  if (Object.keys(severity).length === 0) {
+    return result;
+  }
+  const moved = { ...result };
+  for (const section of Object.values(SEVERITY_SECTIONS)) {
+    moved[section] = [];
+  }
+  for (const [kind, section] of Object.entries(SEVERITY_SECTIONS)) {
+    const target = severity[kind] || kind;
+    if (target !== 'off') {
+      const steps = FINDING_SECTIONS.indexOf(SEVERITY_SECTIONS[target]) - FINDING_SECTIONS.indexOf(section);
+      moved[SEVERITY_SECTIONS[target]].push(...(result[section] || []).map(item =>
+        (steps !== 0 && item.severity ? { ...item, severity: shiftSeverity(item.severity, steps) } : item)));
+    }
+  }
+  return moved;
+}
+
+/**
+ * The profiles that reported a finding of a multi-profile review.
+ * @param {object} item - A finding or fix.
+ * @returns {Array<string>} Empty for findings of single-profile reviews.
+ */
+function getItemProfiles(item) {
+  return item.profiles || (item.profile ? [item.profile] : []);
+}
+
+function words(text) {
+  return new Set(normalizeFindingText(text).split(/[^\w#]+/).filter(word => word.length > 2));
+}
+
+/**
+ * Whether two findings on the same line say the same thing: one text contains the other,
+ * or they share at least `NEAR_DUPLICATE_SIMILARITY` of their words.
+ * @param {object} a - A finding.
+ * @param {object} b - Another finding.
+ * @returns {boolean}
+ */
+function areNearDuplicates(a, b) {
+  if (Number(a.line) !== Number(b.line)) return false;
+  const textA = normalizeFindingText(a.description || a.explanation);
+  const textB = normalizeFindingText(b.description || b.explanation);
+  if (!textA || !textB) return textA === textB;
+  if (textA.includes(textB) || textB.includes(textA)) return true;
+
+  const wordsA = words(textA);
+  const wordsB = words(textB);
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const union = new Set([...wordsA, ...wordsB]).size;
+  return union > 0 && shared / union >= NEAR_DUPLICATE_SIMILARITY;
+}
+
+// Adds a profile to a kept finding that another profile also reported
+function addReporter(item, profile) {
+  if (!getItemProfiles(item).includes(profile)) {
+    item.profiles = [...getItemProfiles(item), profile];
+  }
+}
+
+/**
+ * Merges the findings of the reviews of one file by several profiles. Findings are tagged
+ * with the profile that reported them; near-duplicates on the same line are collapsed into
+ * the most severe one (sections are in order of severity), which lists every profile that
+ * reported it in `profiles`.
+ * @param {Array<{profile: string, result: object}>} reviews - The successful review of each profile.
+ * @returns {object} The merged sections: dangers, issues, suggestions, good_practices and fix.
+ */
+function mergeProfileFindings(reviews) {
+  const merged = { dangers: [], issues: [], suggestions: [], good_practices: [], fix: [] };
+
+  for (const section of FINDING_SECTIONS) {
+    for (const { profile, result } of reviews) {
+      for (const item of result[section] || []) {
+        const existing = FINDING_SECTIONS.flatMap(s => merged[s]).find(kept => areNearDuplicates(kept, item));
+        // Static findings are the same for every profile and belong to none
+        if (existing) {
+          if (existing.source !== 'static') addReporter(existing, profile);
+        } else {
+          merged[section].push(item.source === 'static' ? item : { ...item, profile });
+        }
+      }
+    }
+  }
+
+  for (const { profile, result } of reviews) {
+    for (const item of result.good_practices || []) {
+      const existing = merged.good_practices.find(kept => areNearDuplicates(kept, item));
+      if (existing) addReporter(existing, profile);
+      else merged.good_practices.push({ ...item, profile });
+    }
+    for (const fix of result.fix || []) {
+      const existing = merged.fix.find(kept => Number(kept.line) === Number(fix.line) && normalizeFindingText(kept.code) === normalizeFindingText(fix.code));
+      if (existing) addReporter(existing, profile);
+      else merged.fix.push({ ...fix, profile });
+    }
+  }
+  return merged;
+}
+
+function countBy(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Combines the reviews of one file by several profiles into one file review, with a
+ * sub-score per profile in `profileScores` and their average as the score. The file
+ * fails only when every profile failed; otherwise failures make the review partial.
+ * Findings dropped outside the diff or suppressed are counted once, by the `removedFingerprints`
+ * of the reviews.
+ * @param {Array<{profile: string, result: object}>} reviews - The file review of each profile, from `reviewFile`.
+ * @returns {object} The combined file review.
+ */
+function mergeProfileReviews(reviews) {
+  const [{ result: first }] = reviews;
+  if (first.skipped) {
+    return first;
+  }
+
+  const { path, status, oldPath, diff } = first;
+  const fileInfo = { path, ...(status ? { status } : {}), ...(oldPath ? { oldPath } : {}) };
+  const succeeded = reviews.filter(({ result }) => !result.failed);
+  const errors = reviews.filter(({ result }) => result.error).map(({ profile, result }) => `${profile}: ${result.error}`);
+  const usage = reviews.filter(({ result }) => result.usage).reduce((total, { result }) => addUsage(total, result.usage), createUsage());
+  // Every profile sends the same redacted file
+  const redacted = reviews.find(({ result }) => result.redactions);
+  const usageInfo = { ...(usage.requests > 0 ? { usage } : {}), ...(redacted ? { redactions: redacted.result.redactions } : {}) };
+
+  if (succeeded.length === 0) {
+    return { ...fileInfo, failed: true, error: errors.join('; '), ...usageInfo, diff };
+  }
+
+  const merged = { ...fileInfo, ...mergeProfileFindings(succeeded) };
+  const scored = succeeded.filter(({ result }) => typeof result.score === 'number');
+  if (scored.length > 0) {
+    merged.profileScores = Object.fromEntries(scored.map(({ profile, result }) => [profile, result.score]));
+    merged.score = Math.round(scored.reduce((sum, { result }) => sum + result.score, 0) / scored.length);
+  }
+  const headlines = succeeded.filter(({ result }) => result.headline);
+  if (headlines.length > 0) {
+    merged.headline = headlines.map(({ profile, result }) => `${profile}: ${result.headline}`).join('; ');
+  }
+  if (errors.length > 0) {
+    merged.error = `Partial review, some profiles failed. ${errors.join('; ')}`;
+  }
+
+  // A finding several profiles dropped or suppressed counts once: each fingerprint as many
+  // times as the profile that removed it most often
+  for (const counter of ['suppressed', 'outsideDiffDropped']) {
+    const counts = new Map();
+    for (const { result } of succeeded) {
+      const removed = countBy((result.removedFingerprints || {})[counter] || []);
+      removed.forEach((count, fingerprint) => counts.set(fingerprint, Math.max(count, counts.get(fingerprint) || 0)));
+    }
+    const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    if (total > 0) merged[counter] = total;
+  }
+  if (succeeded.length === reviews.length && succeeded.every(({ result }) => result.cached)) {
+    merged.cached = true;
+  }
+  return { ...merged, ...usageInfo, diff };
+}
+
+/**
+ * Computes the overall sub-score of each profile: the average of its scores over the reviewed files.
+ * @param {Array<object>} fileReviews - Merged file reviews from `mergeProfileReviews`.
+ * @returns {object|null} Scores by profile, or null when no file has profile scores.
+ */
+function computeProfileScores(fileReviews) {
+  const totals = {};
+  for (const fileReview of fileReviews) {
+    for (const [profile, score] of Object.entries(fileReview.profileScores || {})) {
+      totals[profile] = totals[profile] || { sum: 0, count: 0 };
+      totals[profile].sum += score;
+      totals[profile].count++;
+    }
+  }
+  const profiles = Object.keys(totals);
+  return profiles.length > 0 ? Object.fromEntries(profiles.map(profile => [profile, Math.round(totals[profile].sum / totals[profile].count)])) : null;
+}
+
+/**
+ * Formats profile sub-scores in one line, e.g. `security 72 · performance 85`.
+ * @param {object} profileScores - Scores by profile.
+ * @returns {string}
+ */
+function formatProfileScores(profileScores) {
+  return Object.entries(profileScores).map(([profile, score]) => `${profile} ${score}`).join(' · ');
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  parseProfiles,
+  validateProfiles,
+  resolveProfile,
+  createProfileFilter,
+  applySeverityOverrides,
+  getItemProfiles,
+  areNearDuplicates,
+  mergeProfileReviews,
+  computeProfileScores,
+  formatProfileScores,
+};
@@ -0,0 +1,307 @@
+// lib/projectContext.js
+// Cross-file context: signatures and types from the local modules a file imports
+
+const fs = require('fs');
+const path = require('path');
+const { countLocalTokens } = require('./providers/openai');
+
+const DEFAULT_CONTEXT_BUDGET = 2000;
+// Longest doc comment or type body copied for a single definition
+const MAX_DEFINITION_LINES = 25;
+
+const JS_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs'];
+
+function readIfFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile() ? fs.readFileSync(filePath, 'utf-8') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The lines of a `{ ... }` block starting at `index`, or just that line if it does not open one
+function takeBlock(lines, index) {
+  let depth = 0;
+  for (let end = index; end < lines.length && end < index + MAX_DEFINITION_LINES; end++) {
+    for (const char of lines[end]) {
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+    }
+    if (depth <= 0) return lines.slice(index, end + 1);
+  }
+  return depth > 0 ? [lines[index]] : lines.slice(index, index + 1);
+}
+
+// The doc comment right above a line, if short enough to be worth copying
+function takeDocComment(lines, index, isComment) {
+  let start = index;
+  while (start > 0 && isComment(lines[start - 1])) start--;
+  return index - start <= MAX_DEFINITION_LINES ? lines.slice(start, index) : [];
+}
+
+// A declaration line without its body: `function a(b) {` => `function a(b)`
+function toSignature(line) {
+  return line.replace(/\s*(\{|=>\s*\{?|:)\s*$/, '').trimEnd();
+}
+
+// --- JavaScript and TypeScript ---
+
+const javascript = {
+  extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'],
+  comment: '//',
+
+  // [{specifier, names}], names null when the whole module is used
+  findImports(content) {
+    const imports = [];
+    const esm = /^\s*(?:import|export)\s+(?:type\s+)?([\w$*{}\s,]+?)\s+from\s+['"]([^'"]+)['"]/gm;
+    const cjs = /(?:const|let|var)\s+(\{[^}]*\}|[\w$]+)\s*=\s*require\(\s*['"]([^'"]+)['"]\s*\)/g;
+    for (const [, clause, specifier] of content.matchAll(esm)) {
+      const named = clause.match(/\{([^}]*)\}/);
+      imports.push({ specifier, names: named ? named[1].split(',').map(n => n.trim().split(/\s+as\s+/)[0].replace(/^type\s+/, '')).filter(Boolean) : null });
+    }
+    for (const [, binding, specifier] of content.matchAll(cjs)) {
+      imports.push({ specifier, names: binding.startsWith('{') ? binding.slice(1, -1).split(',').map(n => n.trim().split(':')[0].trim()).filter(Boolean) : null });
+    }
+    return imports.filter(entry => entry.specifier.startsWith('.'));
+  },
+
+  resolve(specifier, fromFile) {
+    const base = path.resolve(path.dirname(fromFile), specifier);
+    const candidates = [base, ...JS_EXTENSIONS.map(ext => base + ext), ...JS_EXTENSIONS.map(ext => path.join(base, `index${ext}`))];
+    // `./a.js` in TypeScript sources usually means `./a.ts`
+    if (/\.jsx?$/.test(base)) candidates.push(base.replace(/\.jsx?$/, '.ts'), base.replace(/\.jsx?$/, '.tsx'));
+    for (const candidate of candidates) {
+      if (readIfFile(candidate) !== null) return [candidate];
+    }
+    return [];
+  },
+
+  extractDefinitions(content, names) {
+    const lines = content.split('\n');
+    const isComment = line => /^\s*(\/\*\*|\*|\/\/)/.test(line);
+    const exportedNames = new Set();
+    for (const [, list] of content.matchAll(/module\.exports\s*=\s*\{([^}]*)\}/g)) {
+      list.split(',').map(n => n.trim().split(':')[0].trim()).filter(Boolean).forEach(n => exportedNames.add(n));
+    }
+    for (const [, name] of content.matchAll(/(?:module\.)?exports\.([\w$]+)\s*=/g)) exportedNames.add(name);
+
+    const definitions = [];
+    lines.forEach((line, index) => {
+      const esm = line.match(/^export\s+(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(function\*?|class|interface|type|enum|const|let)\s+([\w$]+)/);
+      const local = line.match(/^(?:async\s+)?(function\*?|class)\s+([\w$]+)|^(const|let)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:function|\([^)]*\)\s*=>|[\w$]+\s*=>)/);
+      let kind;
+      let name;
+      if (esm) {
+        [, kind, name] = esm;
+      } else if (local && exportedNames.has(local[2] || local[4])) {
+        kind = local[1] || local[3];
+        name = local[2] || local[4];
+      } else {
+        return;
+      }
+      if (names && !names.includes(name)) return;
+
+      // Types are copied whole, since their shape is the point; functions and classes as signatures
+      let body = ['interface', 'type', 'enum'].includes(kind) ? takeBlock(lines, index) : [toSignature(line)];
+      const members = kind === 'class' ? classMemberSignatures(lines, index) : [];
+      if (members.length > 0) body = [line.trimEnd(), ...members, '}'];
+      definitions.push([...takeDocComment(lines, index, isComment), ...body].join('\n'));
+    });
+    return definitions;
+  },
+};
+
+function classMemberSignatures(lines, index) {
+  const members = [];
+  for (const line of takeBlock(lines, index).slice(1, -1)) {
+    const member = line.match(/^(\s+)(?:public\s+|protected\s+|static\s+|async\s+|get\s+|set\s+)*(?!(?:if|for|while|switch|catch|return)\b)([\w$]+)\s*\([^)]*\)[^{;]*\{\s*$/);
+    if (member && !member[2].startsWith('_')) members.push(`${member[1]}${toSignature(line.trim())}`);
+  }
+  return members;
+}
+
+// --- Python ---
+
+const python = {
+  extensions: ['.py'],
+  comment: '#',
+
+  findImports(content) {
+    const imports = [];
+    for (const [, module, list] of content.matchAll(/^from\s+([.\w]+)\s+import\s+\(?([^)\n]+)\)?/gm)) {
+      imports.push({ specifier: module, names: list.split(',').map(n => n.trim().split(/\s+as\s+/)[0]).filter(n => n && n !== '*') });
+    }
+    for (const [, list] of content.matchAll(/^import\s+([\w., ]+)$/gm)) {
+      for (const module of list.split(',')) imports.push({ specifier: module.trim().split(/\s+as\s+/)[0], names: null });
+    }
+    return imports;
+  },
+
+  resolve(specifier, fromFile, root) {
+    const dots = specifier.match(/^\.*/)[0].length;
+    const modulePath = specifier.slice(dots).split('.').filter(Boolean).join(path.sep);
+    const bases = dots > 0
+      ? [path.resolve(path.dirname(fromFile), ...Array(dots - 1).fill('..'), modulePath)]
+      : [path.join(root, modulePath), path.join(path.dirname(fromFile), modulePath)];
+    for (const base of bases) {
+      for (const candidate of [`${base}.py`, path.join(base, '__init__.py')]) {
+        if (readIfFile(candidate) !== null) return [candidate];
+      }
+    }
+    return [];
+  },
+
+  extractDefinitions(content, names) {
+    const lines = content.split('\n');
+    const definitions = [];
+    lines.forEach((line, index) => {
+      const match = line.match(/^(?:async\s+)?(def|class)\s+(\w+)/);
+      if (!match || match[2].startsWith('_') || (names && !names.includes(match[2]))) return;
+      const decorators = takeDocComment(lines, index, l => /^@/.test(l));
+      const body = [line.trimEnd()];
+      // The first line of the docstring, and the public methods of classes
+      for (let next = index + 1; next < lines.length && (lines[next].trim() === '' || /^\s/.test(lines[next])); next++) {
+        const inner = lines[next];
+        if (next === index + 1 && /^\s+("""|''')/.test(inner)) body.push(inner.trimEnd());
+        if (match[1] === 'class' && /^\s+(async\s+)?def\s+(?!_)\w+|^\s+def\s+__init__/.test(inner)) body.push(inner.trimEnd());
+      }
+      definitions.push([...decorators, ...body].join('\n'));
+    });
+    return definitions;
+  },
+};
+
+// --- Go ---
+
+function findGoModule(fromFile, root) {
+  for (let dir = path.dirname(fromFile); dir.startsWith(root); dir = path.dirname(dir)) {
+    const goMod = readIfFile(path.join(dir, 'go.mod'));
+    if (goMod) {
+      const module = goMod.match(/^module\s+(\S+)/m);
+      return module ? { dir, name: module[1] } : null;
+    }
+    if (dir === path.dirname(dir)) break;
+  }
+  return null;
+}
+
+const go = {
+  extensions: ['.go'],
+  comment: '//',
+
+  findImports(content) {
+    const specifiers = [];
+    for (const [, block] of content.matchAll(/^import\s*\(([\s\S]*?)\)/gm)) {
+      for (const [, alias, specifier] of block.matchAll(/^\s*([\w.]+\s+)?"([^"]+)"/gm)) specifiers.push({ alias: alias && alias.trim(), specifier });
+    }
+    for (const [, alias, specifier] of content.matchAll(/^import\s+([\w.]+\s+)?"([^"]+)"/gm)) specifiers.push({ alias: alias && alias.trim(), specifier });
+
+    // Only the identifiers the file uses through the package, e.g. `store.Open`
+    return specifiers.map(({ alias, specifier }) => {
+      const packageName = alias || specifier.split('/').pop();
+      const used = [...new Set([...content.matchAll(new RegExp(`\\b${packageName.replace(/\W/g, '')}\\.([A-Z]\\w*)`, 'g'))].map(m => m[1]))];
+      return { specifier, names: used.length > 0 ? used : null };
+    });
+  },
+
+  resolve(specifier, fromFile, root) {
+    const module = findGoModule(fromFile, root);
+    if (!module || !(specifier === module.name || specifier.startsWith(`${module.name}/`))) return [];
+    const dir = path.join(module.dir, specifier.slice(module.name.length));
+    try {
+      return fs.readdirSync(dir).filter(name => name.endsWith('.go') && !name.endsWith('_test.go')).map(name => path.join(dir, name));
+    } catch (error) {
+      return [];
+    }
+  },
+
+  extractDefinitions(content, names) {
+    const lines = content.split('\n');
+    const definitions = [];
+    lines.forEach((line, index) => {
+      const match = line.match(/^func\s+(?:\([^)]*\)\s+)?([A-Z]\w*)|^type\s+([A-Z]\w*)\s+(struct|interface)?/);
+      if (!match) return;
+      const name = match[1] || match[2];
+      if (names && !names.includes(name)) return;
+      const body = match[3] ? takeBlock(lines, index) : [toSignature(line)];
+      definitions.push([...takeDocComment(lines, index, l => /^\/\//.test(l)), ...body].join('\n'));
+    });
+    return definitions;
+  },
+};
+
+const LANGUAGES = [javascript, python, go];
+
+/**
+ * Creates a builder of cross-file context. For each reviewed file, it resolves the local
+ * modules the file imports and collects the signatures, doc comments and type definitions
+ * they export, limited to the names the file uses when they are known.
+ * Supports JavaScript, TypeScript, Python and Go; other files get no context.
+ * @param {object} [options]
+ * @param {string} [options.root=process.cwd()] - The project root. Modules outside it are ignored.
+ * @param {number} [options.budget=DEFAULT_CONTEXT_BUDGET] - The maximum tokens of context per file.
+ * @returns {{forFile: function({path: string, content: string}): string}}
+ */
+function createProjectContext(options = {}) {
+  const root = path.resolve(options.root || process.cwd());
+  const budget = Number(options.budget) || DEFAULT_CONTEXT_BUDGET;
+  const contents = new Map(); // Memoized module sources
+
+  const read = (filePath) => {
+    if (!contents.has(filePath)) contents.set(filePath, readIfFile(filePath));
+    return contents.get(filePath);
+  };
+
+  return {
+    forFile(file) {
+      const language = LANGUAGES.find(l => l.extensions.includes(path.extname(file.path)));
+      if (!language || !file.content) return '';
+
+      const absolutePath = path.resolve(root, file.path);
+      // The names used from each module, in import order; null when the whole module is used
+      const modules = new Map();
+      for (const { specifier, names } of language.findImports(file.content)) {
+        for (const modulePath of language.resolve(specifier, absolutePath, root)) {
+          if (modulePath === absolutePath || !modulePath.startsWith(root)) continue;
+          const known = modules.get(modulePath);
+          modules.set(modulePath, known === null || !names ? null : [...(known || []), ...names]);
+        }
+      }
+
+      const sections = [];
+      let tokens = 0;
+      for (const [modulePath, names] of modules) {
+        const source = read(modulePath);
+        const definitions = source ? language.extractDefinitions(source, names) : [];
+        if (definitions.length === 0) continue;
+
+        const kept = [];
+        for (const definition of definitions) {
+          const cost = countLocalTokens(definition + '\n');
+          if (tokens + cost > budget) break;
+          kept.push(definition);
+          tokens += cost;
+        }
+        if (kept.length > 0) sections.push([`${language.comment} ${path.relative(root, modulePath).replace(/\\/g, '/')}`, ...kept].join('\n'));
+        if (kept.length < definitions.length) break;
+      }
+      return sections.join('\n\n');
+    },
+  };
+}
+
+/**
+ * Wraps cross-file context for a review prompt.
+ * @param {string} projectContext - From `forFile`.
+ * @returns {string} The prompt section, or an empty string without context.
+ */
+function formatProjectContext(projectContext) {
+  if (!projectContext) return '';
+  return `\n\nDefinitions from the local modules this file imports, for reference only. Do not report findings on them:\n${projectContext}`;
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_BUDGET,
+  createProjectContext,
+  formatProjectContext,
+};
@@ -0,0 +1,182 @@
+// lib/prompts.js
+// System prompts of reviews: built-in instructions, profile templates and the output format
+
+const fs = require('fs');
+const path = require('path');
+
+// Variables a prompt template can use, as `{{name}}`
+const TEMPLATE_VARIABLES = ['language', 'path', 'profile', 'projectConventions'];
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const REVIEW_INSTRUCTIONS = {
+  diff: `You are an expert, concise AI code reviewer analyzing a pull request.
+
+- Focus **only** on the implications of the code changes.
+- Be direct and technical. No conversational fluff.
+- All descriptions must be a single, concise sentence.
+- The summary must be a single, brief paragraph highlighting only the most critical issues introduced by the changes.`,
+
+  singleFile: `You are an expert, concise AI code reviewer. Your task is to provide a structured and brief code review.
+
+- Be direct and technical. No conversational fluff.
+- All descriptions must be a single, concise sentence.`,
+
+  full: `You are an expert, concise AI code reviewer. Your task is to provide a structured, insightful, and brief code review.
+
+- Be direct and technical. No conversational fluff.
+- All descriptions must be a single, concise sentence.
+- The summary must be a single, brief paragraph highlighting only the most critical findings.`,
+};
+
+// An example entry and the instructions of each section of the output, in schema order
+const OUTPUT_SECTIONS = {
+  dangers: {
+    example: [{ line: 42, endLine: 45, description: 'Concise, one-sentence technical description of the critical issue.', category: 'security', severity: 'critical', confidence: 0.9 }],
+    guidance: '🛑 Dangers: Critical issues like security risks or crashes. Omit if none exist.',
+  },
+  issues: {
+    example: [{ line: 88, description: 'Concise, one-sentence technical description of the problem.', category: 'correctness', severity: 'medium', confidence: 0.8 }],
+    guidance: '⚠️ Issues: Notable problems that could lead to bugs or performance issues.',
+  },
+  suggestions: {
+    example: [{ line: 12, description: 'Concise, one-sentence technical suggestion.', category: 'maintainability', severity: 'low', confidence: 0.6 }],
+    guidance: '💡 Suggestions: Optional improvements.',
+  },
+  good_practices: {
+    example: [{ line: 25, description: 'Concise, one-sentence description of a good practice.' }],
+    guidance: '✅ Good Practices: Positive highlights.',
+  },
+  fix: {
+    example: [{ line: 50, explanation: 'A very brief explanation of the fix.', code: 'the corrected code snippet' }],
+    guidance: '🛠️ Fix: A corrected code snippet formatted as a diff for each danger/issue.',
+  },
+};
+
+/**
+ * Reads a prompt template file, as given to `--prompt`.
+ * @param {string} filePath - The path of the file, relative to the working directory.
+ * @returns {string} The template.
+ */
+function loadPromptFile(filePath) {
+  try {
+    return fs.readFileSync(path.resolve(filePath), 'utf-8').trim();
+  } catch (error) {
+    throw new Error(`Could not read the prompt file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Formats the `conventions` of `.lucai.json`, for the `{{projectConventions}}` variable.
+ * @param {string|Array<string>} [conventions] - The conventions, as text or one per entry.
+ * @returns {string} The conventions, one per line; empty when there are none.
+ */
+function formatConventions(conventions) {
+  if (Array.isArray(conventions)) {
+    return conventions.map(convention => `- ${convention}`).join('\n');
+  }
+  return String(conventions || '').trim();
+}
+
+/**
+ * Builds the template of the instructions of a review. The built-in instructions of the
+ * review mode are replaced by the `--prompt` file, then by the `instructions` of the profile;
+ * the `focus` of the profile and the project conventions follow them. The output format is
+ * not part of the template: lucai appends it to every system prompt.
+ * @param {object} profile - A profile from `resolveProfile`.
+ * @param {object} settings
+ * @param {boolean} settings.isDiffReview - Whether the files come from a git diff.
+ * @param {boolean} settings.isSingleFile - Whether this is a review for a single file.
+ * @param {string} [settings.basePrompt] - The template read from the `--prompt` file.
+ * @param {string} [settings.conventions] - The project conventions, from `formatConventions`.
+ * @returns {string} The template, with `{{variables}}` still in place.
+ * @throws {Error} When the template uses an unknown variable.
+ */
+function buildPromptTemplate(profile, { isDiffReview, isSingleFile, basePrompt, conventions }) {
+  const mode = isDiffReview ? 'diff' : isSingleFile ? 'singleFile' : 'full';
+  const parts = [profile.instructions || basePrompt || REVIEW_INSTRUCTIONS[mode]];
+  if (profile.focus) {
+    parts.push(`Focus of this review:\n${profile.focus}`);
+  }
+  if (conventions && !/\{\{\s*projectConventions\s*\}\}/.test(parts.join('\n'))) {
+    parts.push('Project conventions the code must follow:\n{{projectConventions}}');
+  }
+  const template = parts.join('\n\n');
+
+  for (const [, name] of template.matchAll(VARIABLE_PATTERN)) {
+    if (!TEMPLATE_VARIABLES.includes(name)) {
+      throw new Error(`Unknown variable {{${name}}} in the prompt of profile "${profile.name}". Available variables: ${TEMPLATE_VARIABLES.join(', ')}.`);
+    }
+  }
+  return template;
+}
+
+/**
+ * Fills in the variables of a prompt template.
+ * @param {string} template - A template from `buildPromptTemplate`.
+ * @param {object} variables - Values of `TEMPLATE_VARIABLES`.
+ * @returns {string}
+ */
+function renderPromptTemplate(template, variables) {
+  return template.replace(VARIABLE_PATTERN, (match, name) => (variables[name] !== undefined ? String(variables[name]) : ''));
+}
+
+// The fields of an example entry that the schema of its section has
+function pickSchemaFields(example, itemSchema) {
+  return Object.fromEntries(Object.entries(example).filter(([key]) => itemSchema.properties[key]));
+}
+
+// Formats an example value on one line, e.g. `[ { "line": 42, "description": "..." } ]`
+function formatExample(value) {
+  if (Array.isArray(value)) {
+    return `[ ${value.map(formatExample).join(', ')} ]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${formatExample(item)}`).join(', ')} }`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Describes the JSON answer a review must give, following the review schema: the structure,
+ * with an example entry per section, and what each section is for.
+ * @param {object} schema - The schema from `getReviewSchema`.
+ * @param {boolean} isDiffReview - Whether the headline summarizes changes rather than a file.
+ * @returns {string}
+ */
+function describeOutputFormat(schema, isDiffReview) {
+  const names = Object.keys(schema.properties);
+  const lines = names.map(name => {
+    let example;
+    if (OUTPUT_SECTIONS[name]) example = OUTPUT_SECTIONS[name].example.map(item => pickSchemaFields(item, schema.properties[name].items));
+    else if (name === 'score') example = 85;
+    else example = `A single, impactful, one-sentence technical summary of the ${isDiffReview ? 'changes' : "file's state"}.`;
+    return `  ${JSON.stringify(name)}: ${formatExample(example)}`;
+  });
+  const guidance = names.filter(name => OUTPUT_SECTIONS[name]).map(name => `- ${OUTPUT_SECTIONS[name].guidance}`);
+  const findingSchema = schema.properties.dangers.items.properties;
+  if (findingSchema.category) {
+    guidance.push(`- Every danger, issue and suggestion has a category (${findingSchema.category.enum.join(', ')}), a severity (${findingSchema.severity.enum.join(', ')}), and your confidence from 0 to 1 that it is a real problem. Add "endLine" when it spans several lines.`);
+  }
+  if (names.includes('score')) {
+    guidance.push('- Score & Headline: An integer score from 0-100 and a very brief, technical headline.');
+  }
+
+  return `Analyze the provided code and respond with a JSON object ONLY. Do not include any text or commentary outside the JSON object.
+
+The JSON object must have the following structure:
+{
+${lines.join(',\n')}
+}
+
+Please follow these detailed instructions for each section:
+${guidance.join('\n')}`;
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  loadPromptFile,
+  formatConventions,
+  buildPromptTemplate,
+  renderPromptTemplate,
+  describeOutputFormat,
+};
@@ -0,0 +1,110 @@
+// lib/providers/google.js
+// Google Gemini provider for lucai
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getCredentials } = require('../config');
+
+const CONTEXT_WINDOWS = {
+  'gemini-1.5-pro-latest': 1048576,
+  'gemini-1.0-pro': 30720,
+};
+
+// USD per million input and output tokens, at the prompt sizes of a code review
+const PRICING = {
+  'gemini-1.5-pro-latest': { input: 1.25, output: 5 },
+  'gemini-1.0-pro': { input: 0.5, output: 1.5 },
+};
+
+// Gemini 1.0 has no JSON mode
+const JSON_MODE_PREFIXES = ['gemini-1.5', 'gemini-2'];
+
+// Gemini accepts an OpenAPI subset of JSON schema
+const GEMINI_SCHEMA_KEYS = ['type', 'properties', 'required', 'items', 'enum', 'description'];
+
+function toGeminiSchema(schema) {
+  const converted = {};
+  for (const key of GEMINI_SCHEMA_KEYS.filter(k => schema[k] !== undefined)) {
+    if (key === 'properties') {
+      converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)]));
+    } else if (key === 'items') {
+      converted.items = toGeminiSchema(schema.items);
+    } else if (key === 'type') {
+      converted.type = schema.type.toUpperCase(); // OpenAPI type names, e.g. OBJECT
+    } else if (key === 'enum') {
+      converted.format = 'enum'; // Gemini only honours enums of strings marked as such
+      converted.enum = schema.enum;
+    } else {
+      converted[key] = schema[key];
+    }
+  }
+  return converted;
+}
+
+/**
+ * Creates a provider backed by the Google Generative AI API.
+ * @param {object} [options] - Review options.
+ * @returns {object} The provider.
+ */
+function createGoogleProvider(options = {}) {
+  const { apiKey, baseUrl } = getCredentials('google', options);
+  const models = new Map();
+
+  const getModel = (model) => {
+    if (!models.has(model)) {
+      const genAI = new GoogleGenerativeAI(apiKey);
+      models.set(model, genAI.getGenerativeModel({ model }, baseUrl ? { baseUrl } : undefined));
+    }
+    return models.get(model);
+  };
+
+  return {
+    name: 'google',
+    label: 'Google',
+    apiKey,
+    requiresApiKey: true,
+
+    async complete({ model, system, prompt, json = false, schema, temperature, onUsage }) {
+      const parts = (system ? [system, prompt] : [prompt]).map(text => ({ text }));
+      const request = { contents: [{ role: 'user', parts }] };
+      const generationConfig = temperature !== undefined ? { temperature } : {};
+      if (json && JSON_MODE_PREFIXES.some(prefix => model.startsWith(prefix))) {
+        generationConfig.responseMimeType = 'application/json';
+        if (schema) generationConfig.responseSchema = toGeminiSchema(schema);
+      }
+      if (Object.keys(generationConfig).length > 0) {
+        request.generationConfig = generationConfig;
+      }
+      const response = await getModel(model).generateContent(request);
+      const { usageMetadata } = response.response;
+      if (onUsage && usageMetadata) {
+        onUsage({ inputTokens: usageMetadata.promptTokenCount || 0, outputTokens: usageMetadata.candidatesTokenCount || 0 });
+      }
+      return response.response.text();
+    },
+
+    async countTokens(text, model) {
+      if (!apiKey) return text.length / 4; // Fallback approximation
+      const { totalTokens } = await getModel(model).countTokens(text);
+      return totalTokens;
+    },
+
+    async verify(model) {
+      // Counting tokens is free and fails like any other request on a refused key
+      await getModel(model).countTokens('lucai');
+    },
+
+    getContextWindow(model) {
+      return options.contextWindow || CONTEXT_WINDOWS[model] || 2048; // Default to 2048 if model not in map
+    },
+
+    getPricing(model) {
+      return options.pricing || PRICING[model] || null;
+    },
+  };
+}
+
+module.exports = {
+  createGoogleProvider,
+  CONTEXT_WINDOWS,
+  PRICING,
+};
@@ -0,0 +1,69 @@
+// lib/providers/index.js
+// Registry of the AI providers lucai can send reviews to
+
+const { createOpenAIProvider } = require('./openai');
+const { createGoogleProvider } = require('./google');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+const providers = new Map();
+
+/**
+ * Registers a provider factory under a name.
+ * A factory receives the review options and returns an object implementing
+ * `complete({ model, system, prompt, json, schema, temperature, onUsage })`, `countTokens(text, model)`,
+ * `getContextWindow(model)` and `getPricing(model)`. `temperature` is undefined unless a
+ * profile sets it, and the model default applies. `onUsage` is called with the
+ * `{ inputTokens, outputTokens }` the API reports, and `getPricing` returns USD per
+ * million `{ input, output }` tokens, or null when unknown. `verify(model)` makes the cheapest
+ * request the API offers, and rejects when it refuses the credentials.
+ * @param {string} name - The provider name, as used by `--provider`.
+ * @param {function(object, string): object} factory - Creates the provider.
+ */
+function registerProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Resolves the provider name for a model.
+ * An explicit `provider` option wins; otherwise the model name decides.
+ * @param {string} model - The AI model to use.
+ * @param {object} [options] - Review options.
+ * @returns {string} The provider name.
+ */
+function getProviderName(model, options = {}) {
+  if (options.provider) {
+    return options.provider;
+  }
+  return model.startsWith('gemini') ? 'google' : 'openai';
+}
+
+/**
+ * Creates the provider that serves the given model.
+ * @param {string} model - The AI model to use.
+ * @param {object} [options] - Review options.
+ * @returns {object} The provider.
+ */
+function createProvider(model, options = {}) {
+  const name = getProviderName(model, options);
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}". Available providers: ${listProviders().join(', ')}.`);
+  }
+  return factory(options, name);
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+registerProvider('openai', createOpenAIProvider);
+registerProvider('google', createGoogleProvider);
+registerProvider('openai-compatible', createOpenAICompatibleProvider);
+registerProvider('ollama', createOpenAICompatibleProvider);
+
+module.exports = {
+  registerProvider,
+  getProviderName,
+  createProvider,
+  listProviders,
+};
@@ -0,0 +1,117 @@
+// lib/providers/openai.js
+// OpenAI provider for lucai
+
+const OpenAI = require('openai');
+const { getEncoding } = require('js-tiktoken');
+const { getCredentials } = require('../config');
+
+const CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+};
+
+// USD per million input and output tokens
+const PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+};
+
+// Models that accept a JSON schema as response format; others get plain JSON mode
+const STRUCTURED_OUTPUT_MODELS = ['gpt-4o', 'gpt-4.1', 'o1', 'o3', 'o4'];
+
+let encoding = null; // Memoized tokenizer
+
+/**
+ * Counts tokens locally with the cl100k_base encoding.
+ * Note: cl100k_base is a safe default for gpt-4, gpt-3.5-turbo, and text-embedding-ada-002
+ * @param {string} text - The text to count.
+ * @returns {number} The number of tokens.
+ */
+function countLocalTokens(text) {
+  if (encoding === null) {
+    encoding = getEncoding('cl100k_base');
+  }
+  return encoding.encode(text).length;
+}
+
+/**
+ * Builds the `response_format` of a chat completion request.
+ * @param {string} model - The model.
+ * @param {boolean} json - Whether a JSON answer is expected.
+ * @param {object} [schema] - The JSON schema the answer must follow.
+ * @returns {object} Request fields to merge in.
+ */
+function getResponseFormat(model, json, schema) {
+  if (!json) return {};
+  if (schema && STRUCTURED_OUTPUT_MODELS.some(prefix => model === prefix || model.startsWith(`${prefix}-`))) {
+    // Not strict: strict mode would forbid the optional fields of the review schema
+    return { response_format: { type: 'json_schema', json_schema: { name: 'lucai_review', schema, strict: false } } };
+  }
+  return { response_format: { type: 'json_object' } };
+}
+
+/**
+ * Creates a provider backed by the OpenAI chat completions API.
+ * @param {object} [options] - Review options.
+ * @returns {object} The provider.
+ */
+function createOpenAIProvider(options = {}) {
+  const { apiKey, baseUrl, organization, project } = getCredentials('openai', options);
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      // Retries are handled by lucai with backoff, so the client's own are disabled.
+      client = new OpenAI({ apiKey, baseURL: baseUrl, organization, project, maxRetries: 0 });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+    label: 'OpenAI',
+    apiKey,
+    requiresApiKey: true,
+
+    async complete({ model, system = 'You are a helpful assistant.', prompt, json = false, schema, temperature, onUsage }) {
+      const response = await getClient().chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+        ...getResponseFormat(model, json, schema),
+        ...(temperature !== undefined ? { temperature } : {}),
+      });
+      if (onUsage && response.usage) {
+        onUsage({ inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens });
+      }
+      return response.choices[0].message.content;
+    },
+
+    async countTokens(text) {
+      return countLocalTokens(text);
+    },
+
+    async verify() {
+      await getClient().models.list();
+    },
+
+    getContextWindow(model) {
+      return options.contextWindow || CONTEXT_WINDOWS[model] || 2048; // Default to 2048 if model not in map
+    },
+
+    getPricing(model) {
+      return options.pricing || PRICING[model] || null;
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  countLocalTokens,
+  CONTEXT_WINDOWS,
+  PRICING,
+};
@@ -0,0 +1,90 @@
+// lib/providers/openaiCompatible.js
+// Provider for any OpenAI-compatible HTTP endpoint (Ollama, llama.cpp server, vLLM, ...)
+
+const OpenAI = require('openai');
+const { countLocalTokens } = require('./openai');
+const { getCredentials } = require('../config');
+
+const DEFAULT_BASE_URLS = {
+  ollama: 'http://localhost:11434/v1',
+};
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Ollama runs locally; the cost of other servers is unknown unless configured
+const DEFAULT_PRICING = {
+  ollama: { input: 0, output: 0 },
+};
+
+/**
+ * Creates a provider that talks to a self-hosted, OpenAI-compatible server.
+ * @param {object} [options] - Review options.
+ * @param {string} [options.baseUrl] - Base URL of the server, e.g. http://localhost:8080/v1.
+ * @param {string} [options.account] - The saved account holding the key and base URL of the server.
+ * @param {number} [options.contextWindow] - Context window of the served model.
+ * @param {{input: number, output: number}} [options.pricing] - USD per million input and output tokens.
+ * @param {string} [name='openai-compatible'] - The name the provider was registered under.
+ * @returns {object} The provider.
+ */
+function createOpenAICompatibleProvider(options = {}, name = 'openai-compatible') {
+  const credentials = getCredentials(name, options);
+  const baseURL = credentials.baseUrl || process.env.LUCAI_BASE_URL || DEFAULT_BASE_URLS[name];
+  if (!baseURL) {
+    throw new Error(`The ${name} provider requires a base URL. Use --base-url, set "baseUrl" in your .lucai.json, or save it with lucai configure.`);
+  }
+
+  // Local servers usually ignore the key, but the client refuses to start without one.
+  const apiKey = credentials.apiKey || 'not-needed';
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+    }
+    return client;
+  };
+
+  return {
+    name,
+    label: `${name} (${baseURL})`,
+    apiKey,
+    requiresApiKey: false,
+
+    async complete({ model, system = 'You are a helpful assistant.', prompt, json = false, temperature, onUsage }) {
+      const response = await getClient().chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+      });
+      if (onUsage && response.usage) {
+        onUsage({ inputTokens: response.usage.prompt_tokens, outputTokens: response.usage.completion_tokens });
+      }
+      return response.choices[0].message.content;
+    },
+
+    async countTokens(text) {
+      // The served model's tokenizer is unknown; cl100k_base is a close enough estimate.
+      return countLocalTokens(text);
+    },
+
+    async verify() {
+      await getClient().models.list();
+    },
+
+    getContextWindow() {
+      return Number(options.contextWindow) || DEFAULT_CONTEXT_WINDOW;
+    },
+
+    getPricing() {
+      return options.pricing || DEFAULT_PRICING[name] || null;
+    },
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
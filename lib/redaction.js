@@ -0,0 +1,262 @@
+// lib/redaction.js
+// Detection of credentials in code, and their redaction before the code is sent to a provider
+
+const SECRET_PATTERNS = [
+  { name: 'AWS access key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}/g },
+  { name: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { name: 'Stripe secret key', pattern: /\b[rs]k_live_[0-9A-Za-z]{20,}/g },
+  { name: 'OpenAI API key', pattern: /\bsk-(proj-)?[A-Za-z0-9_-]{32,}/g },
+];
+// A literal of 8 or more characters assigned to a name that says it holds a credential, e.g. `password = "..."`
+const SECRET_ASSIGNMENT = /([\w$]*(password|passwd|secret|api_?key|access_?token|auth_?token|private_?key)[\w$]*)['"]?\s*[:=]\s*(['"])([^'"\s]{8,})\3/gi;
+const PLACEHOLDER_VALUE = /^(x+|\*+|\.+)$|example|placeholder|changeme|your[_-]|<[^>]*>|\$\{|%s/i;
+// Upper-case names such as `'OPENAI_API_KEY'` name an environment variable rather than hold its value
+const CONSTANT_NAME = /^[A-Z]+(_[A-Z0-9]+)*$/;
+const PRIVATE_KEY_BEGIN = /-----BEGIN ([A-Z]+ )?PRIVATE KEY-----/;
+const PRIVATE_KEY_END = /-----END ([A-Z]+ )?PRIVATE KEY-----/;
+
+// Candidates for the entropy check: quoted literals, and unquoted values at the end of a line (`.env`, YAML)
+const ENTROPY_CANDIDATES = [/(['"`])([A-Za-z0-9+/=_.-]{20,})\1/g, /[=:]\s*([A-Za-z0-9+/=_.-]{20,})\s*$/g];
+// Bits per character above which a value looks random: random base64 has about 5, words about 3.5
+const MIN_ENTROPY = 4.3;
+const MIN_HEX_ENTROPY = 3.5;
+const MIN_HEX_LENGTH = 32;
+
+const PLACEHOLDER_PREFIX = 'REDACTED_SECRET_';
+const PLACEHOLDER_PATTERN = new RegExp(`${PLACEHOLDER_PREFIX}\\d+`, 'g');
+// Replaces secrets found outside the file they belong to, where no numbered placeholder applies
+const GENERIC_PLACEHOLDER = 'REDACTED_SECRET';
+
+/**
+ * Resolves the redaction settings of a review: on by default, off with `--no-redact` or
+ * `"redaction": false` in `.lucai.json`. An object in `redaction` adds custom `patterns`
+ * (regular expressions; the first group, if any, is the secret) and turns the entropy check
+ * off with `"entropy": false`.
+ * @param {object} options - Merged review options.
+ * @returns {{entropy: boolean, patterns: Array<RegExp>}|null} Null when redaction is off.
+ * @throws {Error} On a pattern that is not a valid regular expression.
+ */
+function resolveRedaction(options) {
+  if (options.redact === false || options.redaction === false) {
+    return null;
+  }
+  const config = options.redaction && typeof options.redaction === 'object' ? options.redaction : {};
+  const patterns = [].concat(config.patterns || []).map(source => {
+    try {
+      return new RegExp(source, 'g');
+    } catch (error) {
+      throw new Error(`Invalid pattern "${source}" in "redaction.patterns" of .lucai.json: ${error.message}`);
+    }
+  });
+  return { entropy: config.entropy !== false, patterns };
+}
+
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const share = count / value.length;
+    entropy -= share * Math.log2(share);
+  }
+  return entropy;
+}
+
+// Whether a value looks like a generated key: letters and digits, with high entropy
+function looksRandom(value) {
+  if (!/[0-9]/.test(value) || !/[A-Za-z]/.test(value)) return false;
+  if (/^[0-9a-f]+$/i.test(value)) {
+    return value.length >= MIN_HEX_LENGTH && shannonEntropy(value) >= MIN_HEX_ENTROPY;
+  }
+  return shannonEntropy(value) >= MIN_ENTROPY;
+}
+
+/**
+ * Finds the credentials on one line: known key formats, literals assigned to credential
+ * names, custom patterns and, with `entropy`, values that look randomly generated.
+ * Private key blocks span lines and are handled by `createRedactor`.
+ * @param {string} line - A line of code.
+ * @param {object} [settings] - From `resolveRedaction`; without it, only known formats and assignments are found.
+ * @returns {Array<{start: number, end: number, kind: string, name?: string}>} In line order, without overlaps.
+ *   `name` is the name a credential is assigned to.
+ */
+function findSecrets(line, settings = { entropy: false, patterns: [] }) {
+  const found = [];
+  const add = (start, value, kind, extra = {}) => {
+    const end = start + value.length;
+    if (value && !found.some(other => start < other.end && end > other.start)) {
+      found.push({ start, end, kind, ...extra });
+    }
+  };
+
+  for (const { name, pattern } of SECRET_PATTERNS) {
+    for (const match of line.matchAll(pattern)) add(match.index, match[0], name);
+  }
+  for (const pattern of settings.patterns) {
+    for (const match of line.matchAll(pattern)) {
+      const value = match[1] !== undefined ? match[1] : match[0];
+      add(match.index + match[0].indexOf(value), value, 'custom pattern');
+    }
+  }
+  for (const match of line.matchAll(SECRET_ASSIGNMENT)) {
+    const value = match[4];
+    if (!PLACEHOLDER_VALUE.test(value) && !CONSTANT_NAME.test(value)) {
+      // The value is right before the closing quote
+      add(match.index + match[0].length - 1 - value.length, value, 'credential', { name: match[1] });
+    }
+  }
+  if (settings.entropy) {
+    for (const pattern of ENTROPY_CANDIDATES) {
+      for (const match of line.matchAll(pattern)) {
+        const value = match[match.length - 1];
+        if (looksRandom(value) && !value.startsWith(PLACEHOLDER_PREFIX)) {
+          add(match.index + match[0].indexOf(value), value, 'high-entropy string');
+        }
+      }
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Creates the redactor of one file review. Each distinct secret is replaced by a placeholder,
+ * `REDACTED_SECRET_<n>` numbered in order of appearance, so the same code always gives the same
+ * text, and cache keys stay stable. Lines are never added or removed.
+ * @param {object} settings - From `resolveRedaction`.
+ * @returns {{redact: function(string, object=): string, restore: function(string): string, secrets: Array<string>, redactions: Array<object>}}
+ *   `redactions` lists what was redacted, as `{ line, kind, placeholder }` for the file and
+ *   `{ where, kind, placeholder }` for text sent alongside it, without the secrets.
+ */
+function createRedactor(settings) {
+  const placeholders = new Map();
+  const secretsByPlaceholder = new Map();
+  const redactions = [];
+
+  const placeholderFor = (secret) => {
+    if (!placeholders.has(secret)) {
+      const placeholder = `${PLACEHOLDER_PREFIX}${placeholders.size + 1}`;
+      placeholders.set(secret, placeholder);
+      secretsByPlaceholder.set(placeholder, secret);
+    }
+    return placeholders.get(secret);
+  };
+
+  const record = (location, kind, secret) => {
+    const isNew = !placeholders.has(secret);
+    const placeholder = placeholderFor(secret);
+    // Text sent alongside the file repeats secrets of the file, which are reported once
+    if (location.line || isNew) redactions.push({ ...location, kind, placeholder });
+    return placeholder;
+  };
+
+  return {
+    /**
+     * @param {string} text - The text to redact.
+     * @param {object} [options]
+     * @param {string} [options.where] - What the text is, when it is not the file; redactions are
+     *   then reported with it instead of a line.
+     * @param {boolean} [options.diff] - The text is a unified diff: the `+`, `-` or space that starts
+     *   each line is not part of a private key, so it gets the same placeholder as in the file.
+     * @returns {string} The text with placeholders.
+     */
+    redact(text, { where, diff = false } = {}) {
+      let inPrivateKey = false;
+      return text.split('\n').map((line, index) => {
+        const location = where ? { where } : { line: index + 1 };
+        if (inPrivateKey) {
+          if (PRIVATE_KEY_END.test(line)) {
+            inPrivateKey = false;
+          } else if (diff && line.startsWith('@@')) {
+            return line; // A hunk header between the lines of the key
+          } else if (line.trim()) {
+            const content = diff ? line.replace(/^[+\- ]/, '') : line;
+            const secret = content.trim();
+            return line.slice(0, line.length - content.length) + content.replace(secret, record(location, 'private key', secret));
+          }
+          return line;
+        }
+        if (PRIVATE_KEY_BEGIN.test(line)) {
+          inPrivateKey = true;
+        }
+        let redacted = '';
+        let position = 0;
+        for (const { start, end, kind } of findSecrets(line, settings)) {
+          redacted += line.slice(position, start) + record(location, kind, line.slice(start, end));
+          position = end;
+        }
+        return redacted + line.slice(position);
+      }).join('\n');
+    },
+    restore(text) {
+      if (typeof text !== 'string') return text;
+      return text.replace(PLACEHOLDER_PATTERN, placeholder => secretsByPlaceholder.get(placeholder) || placeholder);
+    },
+    get secrets() {
+      return [...placeholders.keys()];
+    },
+    redactions,
+  };
+}
+
+/**
+ * Puts the secrets back into the findings, fixes and headline of a file review, so reports
+ * quote the real code and fixes apply to it.
+ * @param {object} result - The review of the file, as answered for the redacted code.
+ * @param {object} redactor - From `createRedactor`.
+ * @returns {object} A new review result.
+ */
+function restoreSecrets(result, redactor) {
+  const restored = { ...result };
+  for (const section of ['dangers', 'issues', 'suggestions', 'good_practices']) {
+    if (result[section]) {
+      restored[section] = result[section].map(item => ({ ...item, description: redactor.restore(item.description) }));
+    }
+  }
+  if (result.fix) {
+    restored.fix = result.fix.map(fix => ({ ...fix, explanation: redactor.restore(fix.explanation), code: redactor.restore(fix.code) }));
+  }
+  if (result.headline) {
+    restored.headline = redactor.restore(result.headline);
+  }
+  return restored;
+}
+
+/**
+ * Redacts known secrets wherever they appear in a text, such as a prompt built from reviews
+ * whose secrets were restored.
+ * @param {string} text - The text.
+ * @param {Iterable<string>} secrets - The secrets found by the redactors of a run.
+ * @returns {string}
+ */
+function redactKnownSecrets(text, secrets) {
+  let redacted = text;
+  // Longest first, so a secret containing another is replaced whole
+  for (const secret of [...secrets].sort((a, b) => b.length - a.length)) {
+    redacted = redacted.split(secret).join(GENERIC_PLACEHOLDER);
+  }
+  return redacted;
+}
+
+/**
+ * Formats the redactions of a file for reports, e.g. `line 12 (AWS access key), removed lines
+ * (credential)`. The secrets themselves are never part of it.
+ * @param {Array<object>} redactions - The `redactions` of a file review.
+ * @returns {string}
+ */
+function formatRedactions(redactions) {
+  return redactions
+    .map(({ line, where, kind }) => `${line ? `line ${line}` : where} (${kind})`)
+    .join(', ');
+}
+
+module.exports = {
+  PRIVATE_KEY_BEGIN,
+  resolveRedaction,
+  findSecrets,
+  createRedactor,
+  restoreSecrets,
+  redactKnownSecrets,
+  formatRedactions,
+};
@@ -0,0 +1,151 @@
+// lib/reviewSchema.js
+// JSON schema of a review response, with parsing and validation of model output
+
+const { FINDING_CATEGORIES, SEVERITY_LEVELS } = require('./findings');
+
+const FINDING_SCHEMA = {
+  type: 'object',
+  properties: {
+    line: { type: 'integer', minimum: 0, description: 'The line the finding refers to.' },
+    endLine: { type: 'integer', minimum: 1, description: 'The last line, when the finding spans several lines.' },
+    description: { type: 'string', description: 'One-sentence technical description.' },
+    category: { type: 'string', enum: FINDING_CATEGORIES, description: 'What the finding is about.' },
+    severity: { type: 'string', enum: SEVERITY_LEVELS, description: 'How serious the finding is.' },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure the reviewer is that the finding is real, from 0 to 1.' },
+  },
+  required: ['line', 'description', 'category', 'severity', 'confidence'],
+};
+
+const GOOD_PRACTICE_SCHEMA = {
+  type: 'object',
+  properties: {
+    line: { type: 'integer', minimum: 0, description: 'The line the good practice refers to.' },
+    description: { type: 'string', description: 'One-sentence technical description.' },
+  },
+  required: ['line', 'description'],
+};
+
+const FIX_SCHEMA = {
+  type: 'object',
+  properties: {
+    line: { type: 'integer', minimum: 1, description: 'The first line the fix replaces.' },
+    explanation: { type: 'string', description: 'A very brief explanation of the fix.' },
+    code: { type: 'string', description: 'The fix as a diff: removed lines start with "-", added lines with "+".' },
+  },
+  required: ['line', 'explanation', 'code'],
+};
+
+/**
+ * Returns the JSON schema a review response must follow. It matches the structure
+ * described in the system prompt of the same review mode.
+ * @param {object} [mode]
+ * @param {boolean} [mode.isDiffReview=false] - Diff reviews have no good practices.
+ * @param {boolean} [mode.isSingleFile=false] - Single-file reviews have no score or headline.
+ * @returns {object} The JSON schema.
+ */
+function getReviewSchema({ isDiffReview = false, isSingleFile = false } = {}) {
+  const properties = {
+    dangers: { type: 'array', items: FINDING_SCHEMA },
+    issues: { type: 'array', items: FINDING_SCHEMA },
+    suggestions: { type: 'array', items: FINDING_SCHEMA },
+  };
+  if (!isDiffReview) {
+    properties.good_practices = { type: 'array', items: GOOD_PRACTICE_SCHEMA };
+  }
+  properties.fix = { type: 'array', items: FIX_SCHEMA };
+
+  const required = ['dangers', 'issues', 'suggestions', 'fix'];
+  if (isDiffReview || !isSingleFile) {
+    properties.score = { type: 'integer', minimum: 0, maximum: 100 };
+    properties.headline = { type: 'string' };
+    required.push('score', 'headline');
+  }
+  return { type: 'object', properties, required };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates a value against the subset of JSON schema used by `getReviewSchema`:
+ * `type`, `properties`, `required`, `items`, `enum`, `minimum` and `maximum`.
+ * @param {*} value - The value to validate.
+ * @param {object} schema - The schema.
+ * @param {string} [at='$'] - The path of the value, for error messages.
+ * @returns {Array<string>} The validation errors; empty when the value is valid.
+ */
+function validateAgainstSchema(value, schema, at = '$') {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${at} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], propertySchema, `${at}.${key}`));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${at}[${index}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Extracts the JSON object from a model response. Markdown fences and text around the
+ * object are ignored; the object itself is parsed as is, never rewritten.
+ * @param {string} text - The model response.
+ * @returns {object} The parsed object.
+ */
+function parseJsonResponse(text) {
+  let body = String(text || '').trim();
+  const fenced = body.match(/^```(?:json)?\s*\n([\s\S]*?)\n?```\s*$/i);
+  if (fenced) {
+    body = fenced[1].trim();
+  }
+  if (!body.startsWith('{')) {
+    const firstBrace = body.indexOf('{');
+    const lastBrace = body.lastIndexOf('}');
+    if (firstBrace === -1 || lastBrace < firstBrace) {
+      throw new Error('The response contains no JSON object.');
+    }
+    body = body.substring(firstBrace, lastBrace + 1);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (error) {
+    throw new Error(`The response is not valid JSON: ${error.message}`);
+  }
+  if (typeOf(parsed) !== 'object') {
+    throw new Error(`The response must be a JSON object, got ${typeOf(parsed)}.`);
+  }
+  return parsed;
+}
+
+module.exports = {
+  getReviewSchema,
+  validateAgainstSchema,
+  parseJsonResponse,
+};
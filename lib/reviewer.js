@@ -1,103 +1,77 @@
 // lib/reviewer.js
 // Handles GPT or lint-based analysis for lucai
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const OpenAI = require('openai');
-const { getEncoding } = require('js-tiktoken');
-const { getApiKey } = require('./config');
-const { formatFileReview } = require('./markdownReport');
-const fs = require('fs').promises;
-const path = require('path');
-
-const CONTEXT_WINDOWS = {
-  'gpt-4o': 128000,
-  'gpt-4-turbo': 128000,
-  'gpt-4': 8192,
-  'gemini-1.5-pro-latest': 1048576,
-  'gemini-1.0-pro': 30720,
-};
+const { createProvider } = require('./providers');
+const { runWithConcurrency, withRetry } = require('./utils');
+const { computeCacheKey, getCachedReview, setCachedReview } = require('./cache');
+const {
+  DEFAULT_DIFF_CONTEXT,
+  parseUnifiedDiff,
+  getChangedLines,
+  buildHunkSections,
+  buildDiffPrompt,
+  scopeFindingsToDiff,
+} = require('./diff');
+const { applySuppressions } = require('./suppressions');
+const { getReviewSchema, validateAgainstSchema, parseJsonResponse } = require('./reviewSchema');
+const { countLineTokens, splitIntoChunks, buildChunkPrompt } = require('./chunker');
+const { countLocalTokens } = require('./providers/openai');
+const { FINDING_SECTIONS, normalizeFindingText, addFingerprints } = require('./findings');
+const { createProjectContext, formatProjectContext } = require('./projectContext');
+const {
+  parseProfiles,
+  validateProfiles,
+  resolveProfile,
+  createProfileFilter,
+  applySeverityOverrides,
+  mergeProfileReviews,
+  computeProfileScores,
+} = require('./profiles');
+const { loadPromptFile, formatConventions, buildPromptTemplate, renderPromptTemplate, describeOutputFormat } = require('./prompts');
+const { getLanguage } = require('./fileSelection');
+const { resolveRedaction, createRedactor, restoreSecrets, redactKnownSecrets } = require('./redaction');
+const { resolveStaticAnalysis, runStaticAnalysis, formatStaticAnalysis, mergeStaticFindings, computeStaticScore } = require('./staticAnalysis');
+const { ESTIMATED_OUTPUT_TOKENS, createUsage, addUsage, computeCost, createBudget, checkEstimate } = require('./usage');
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RETRIES = 3;
+const CHUNK_SECTIONS = ['dangers', 'issues', 'suggestions', 'good_practices', 'fix'];
+// Re-asks of the model when its answer is not valid JSON following the review schema
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const NOT_IN_PROFILE_PATHS = 'Not in the include and exclude paths of the review profiles.';
 
-const getSystemPrompt = (options, isDiffReview, isSingleFile) => {
-  if (options.profile && options.reviewProfiles && options.reviewProfiles[options.profile]) {
-    return options.reviewProfiles[options.profile];
-  }
-  if (isDiffReview) {
-    return `
-You are an expert, concise AI code reviewer analyzing a pull request.
-
-- Focus **only** on the implications of the code changes.
-- Be direct and technical. No conversational fluff.
-- All descriptions must be a single, concise sentence.
-- The summary must be a single, brief paragraph highlighting only the most critical issues introduced by the changes.
-- **Omit the "good_practices" section.**
-
-Analyze the provided code file and respond with a JSON object ONLY. Do not include any text or commentary outside the JSON object.
-
-The JSON object must have the following structure:
-{
-  "dangers": [ { "line": 42, "description": "Concise, one-sentence technical description of the critical issue." } ],
-  "issues": [ { "line": 88, "description": "Concise, one-sentence technical description of the problem." } ],
-  "suggestions": [ { "line": 12, "description": "Concise, one-sentence technical suggestion." } ],
-  "fix": [ { "line": 50, "explanation": "A very brief explanation of the fix.", "code": "the corrected code snippet" } ],
-  "score": 85,
-  "headline": "A single, impactful, one-sentence technical summary of the changes."
-}
-  `;
-  }
-  if (isSingleFile) {
-    return `
-You are an expert, concise AI code reviewer. Your task is to provide a structured and brief code review.
-
-- Be direct and technical. No conversational fluff.
-- All descriptions must be a single, concise sentence.
-- Do not include a headline or a score.
-
-Analyze the provided code file and respond with a JSON object ONLY. Do not include any text or commentary outside of the JSON object.
-
-The JSON object must have the following structure:
-{
-  "dangers": [ { "line": 42, "description": "Concise, one-sentence technical description of the critical issue." } ],
-  "issues": [ { "line": 88, "description": "Concise, one-sentence technical description of the problem." } ],
-  "suggestions": [ { "line": 12, "description": "Concise, one-sentence technical suggestion." } ],
-  "good_practices": [ { "line": 25, "description": "Concise, one-sentence description of a good practice." } ],
-  "fix": [ { "line": 50, "explanation": "A very brief explanation of what the fix does.", "code": "the corrected code snippet" } ]
-}
-  `;
+/**
+ * Sends one request to the provider within the budget of the run, with retries on rate
+ * limits and server errors. The usage the provider reports is added to the run, and to the
+ * file under review if any; providers that report none are counted locally.
+ * @param {object} context - The shared review context built by `createReviewContext`.
+ * @param {{system?: string, prompt: string, json?: boolean, schema?: object, temperature?: number}} request - The request.
+ * @param {object} [retryOptions] - Options for `withRetry`.
+ * @returns {Promise<string>} The text of the answer.
+ * @throws {Error} When the request would exceed the budget; it is then not sent.
+ */
+async function sendRequest(context, request, retryOptions) {
+  const { provider, model, pricing, budget, fileUsage } = context;
+  const estimate = {
+    inputTokens: countLocalTokens(`${request.system || ''}\n${request.prompt}`),
+    outputTokens: ESTIMATED_OUTPUT_TOKENS,
+  };
+  const release = budget.reserve(estimate, pricing);
+  let reported = null;
+  let text;
+  try {
+    text = await withRetry(() => provider.complete({ model, ...request, onUsage: (usage) => { reported = usage; } }), retryOptions);
+  } finally {
+    release();
   }
-  return `
-You are an expert, concise AI code reviewer. Your task is to provide a structured, insightful, and brief code review.
-
-- Be direct and technical. No conversational fluff.
-- All descriptions must be a single, concise sentence.
-- The summary must be a single, brief paragraph highlighting only the most critical findings.
-
-Analyze the provided code file and respond with a JSON object ONLY. Do not include any text or commentary outside the JSON object.
 
-The JSON object must have the following structure:
-{
-  "dangers": [ { "line": 42, "description": "Concise, one-sentence technical description of the critical issue." } ],
-  "issues": [ { "line": 88, "description": "Concise, one-sentence technical description of the problem." } ],
-  "suggestions": [ { "line": 12, "description": "Concise, one-sentence technical suggestion." } ],
-  "good_practices": [ { "line": 25, "description": "Concise, one-sentence description of a good practice." } ],
-  "fix": [ { "line": 50, "explanation": "A very brief explanation of the fix.", "code": "the corrected code snippet" } ],
-  "score": 85,
-  "headline": "A single, impactful, one-sentence technical summary of the file's state."
+  const usage = reported || { inputTokens: estimate.inputTokens, outputTokens: countLocalTokens(text || '') };
+  budget.record(usage, pricing);
+  if (fileUsage) addUsage(fileUsage, usage);
+  return text;
 }
 
-Please follow these detailed instructions for each section:
-- 🛑 Dangers: Critical issues like security risks or crashes. Omit if none exist.
-- ⚠️ Issues: Notable problems that could lead to bugs or performance issues.
-- 💡 Suggestions: Optional improvements.
-- ✅ Good Practices: Positive highlights.
-- 🛠️ Fix: A corrected code snippet formatted as a diff for each danger/issue.
-- Score & Headline: An integer score from 0-100 and a very brief, technical headline.
-  `;
-};
-
-async function generateOverallSummary(reviewResults, model) {
-  const provider = model.startsWith('gemini') ? 'google' : 'openai';
-  const apiKey = getApiKey(provider);
-
+async function generateOverallSummary(reviewResults, context) {
   const summaryPrompt = `
     You are a CTO reviewing a code analysis report. Based on the following file summaries, provide a high-level executive summary.
     The output must be a short, scannable summary.
@@ -111,283 +85,685 @@ async function generateOverallSummary(reviewResults, model) {
   `;
 
   try {
-    if (provider === 'google') {
-      const genAI = new GoogleGenerativeAI(apiKey);
-      const gemini = genAI.getGenerativeModel({ model: model });
-      const result = await gemini.generateContent(summaryPrompt);
-      const response = await result.response;
-      return response.text();
-    } else {
-      const openai = new OpenAI({ apiKey });
-      const response = await openai.chat.completions.create({
-        model,
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant.' },
-          { role: 'user', content: summaryPrompt },
-        ],
-      });
-      return response.choices[0].message.content;
-    }
+    // Headlines quote the code as restored, secrets included
+    const prompt = context.redaction ? redactKnownSecrets(summaryPrompt, context.redactedSecrets) : summaryPrompt;
+    return await sendRequest(context, { prompt });
   } catch (error) {
     console.error('Failed to generate overall summary:', error.message);
     return 'Could not generate an overall summary.';
   }
 }
 
-async function countTokens(text, model) {
-  const provider = model.startsWith('gemini') ? 'google' : 'openai';
-  if (provider === 'google') {
-    const apiKey = getApiKey('google');
-    if (!apiKey) return text.length / 4; // Fallback approximation
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const geminiModel = genAI.getGenerativeModel({ model });
-    const { totalTokens } = await geminiModel.countTokens(text);
-    return totalTokens;
-  } else {
-    // Note: getEncoding('cl100k_base') is a safe default for gpt-4, gpt-3.5-turbo, and text-embedding-ada-002
-    const encoding = getEncoding('cl100k_base');
-    const tokens = encoding.encode(text);
-    return tokens.length;
+/**
+ * Sends one review prompt to the provider and validates the JSON answer against the review schema.
+ * Rate limits and server errors are retried with backoff. Answers that are not valid are sent
+ * back to the model with the validation error, up to `DEFAULT_REPAIR_ATTEMPTS` times.
+ * @param {object} context - The shared review context built by `createReviewContext`.
+ * @param {string} userPrompt - The prompt carrying the code.
+ * @param {string} label - What is being reviewed, for error messages.
+ * @returns {Promise<object>} The validated review result.
+ * @throws {Error} When the model gives no valid answer; the review must then be reported as failed.
+ */
+async function requestReview(context, userPrompt, label) {
+  const { systemPrompt, schema, temperature, retries } = context;
+  let prompt = userPrompt;
+  let problem;
+
+  for (let attempt = 0; attempt <= DEFAULT_REPAIR_ATTEMPTS; attempt++) {
+    const textResponse = await sendRequest(
+      context,
+      { system: systemPrompt, prompt, json: true, schema, temperature },
+      {
+        retries,
+        onRetry: (error, retry, delay) => {
+          console.warn(`\nRetrying ${label} in ${(delay / 1000).toFixed(1)}s (attempt ${retry}/${retries}): ${error.message}`);
+        },
+      }
+    );
+
+    try {
+      const result = parseJsonResponse(textResponse);
+      const errors = validateAgainstSchema(result, schema);
+      if (errors.length === 0) {
+        return result;
+      }
+      problem = `The JSON does not follow the required structure: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}.`;
+    } catch (error) {
+      problem = error.message;
+    }
+
+    if (attempt < DEFAULT_REPAIR_ATTEMPTS) {
+      console.warn(`\nInvalid response for ${label}, asking the model again: ${problem}`);
+      prompt = `${userPrompt}\n\nYour previous answer could not be used. ${problem}\nAnswer again with a single JSON object that follows the required structure exactly, and nothing else.`;
+    }
+  }
+  throw new Error(`No valid response from the model after ${DEFAULT_REPAIR_ATTEMPTS + 1} attempts. ${problem}`);
+}
+
+/**
+ * Plans the requests of a whole-file review: the file in one request, or one request per
+ * chunk when it does not fit the context window.
+ * @param {{path: string, content: string}} file - The file to review.
+ * @param {object} context - The shared review context built by `createReviewContext`.
+ * @param {string} [related] - Text sent with every request after the code, from `prepareFile`.
+ * @returns {Array<{prompt: string, label: string, chunk?: object}>}
+ */
+function planFileRequests(file, context, related = '') {
+  const budget = Math.floor(context.maxTokens * 0.9) - countLocalTokens(related);
+  // Counted locally in one pass; the same counts drive the chunking
+  const lineTokens = countLineTokens(file.content.split('\n'));
+  const totalTokens = lineTokens.reduce((sum, tokens) => sum + tokens, 0);
+
+  if (totalTokens <= budget) {
+    return [{ prompt: `Please review the following code from file: ${file.path}\n\n${file.content}${related}`, label: file.path }];
   }
+  const chunks = splitIntoChunks(file, budget, lineTokens);
+  return chunks.map((chunk, chunkIndex) => ({
+    prompt: buildChunkPrompt(file.path, chunk, chunkIndex, chunks.length) + related,
+    label: `chunk ${chunkIndex + 1} of ${file.path}`,
+    chunk,
+  }));
 }
 
-async function splitCodeIntoChunks(content, model, maxTokensPerChunk) {
-  const lines = content.split('\n');
-  const chunks = [];
-  let currentChunkLines = [];
-  let currentChunkTokens = 0;
-  const overlapLines = 50; // 50 lines of overlap to maintain context
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineTokens = await countTokens(line + '\n', model);
-
-    if (currentChunkTokens + lineTokens > maxTokensPerChunk && currentChunkLines.length > 0) {
-      chunks.push({
-        content: currentChunkLines.join('\n'),
-        startLine: i - currentChunkLines.length + 1,
-      });
-
-      // Start the next chunk with an overlap
-      const overlapStartIndex = Math.max(0, currentChunkLines.length - overlapLines);
-      currentChunkLines = currentChunkLines.slice(overlapStartIndex);
-      currentChunkTokens = await countTokens(currentChunkLines.join('\n'), model);
+/**
+ * Asks the model to review a single file, splitting it into chunks when it does not fit the context window.
+ * @param {{path: string, content: string}} file - The file to review.
+ * @param {object} context - The shared review context built by `createReviewContext`.
+ * @param {string} [related] - Text sent with every request after the code, from `prepareFile`.
+ * @returns {Promise<object>} The review findings.
+ */
+async function analyzeFile(file, context, related = '') {
+  const requests = planFileRequests(file, context, related);
+  if (!requests[0].chunk) {
+    return requestReview(context, requests[0].prompt, requests[0].label);
+  }
+
+  // --- Chunking Logic ---
+  console.log(`File ${file.path} is large, splitting into ${requests.length} chunks...`);
+  const chunkReviews = [];
+  const chunkErrors = [];
+
+  for (const [chunkIndex, { prompt, label, chunk }] of requests.entries()) {
+    console.log(`  - Reviewing chunk ${chunkIndex + 1}/${requests.length} of ${file.path} (lines ${chunk.startLine}-${chunk.endLine})...`);
+    try {
+      const result = await requestReview(context, prompt, label);
+      // Findings on the shared context belong to the chunk that holds those lines
+      for (const section of CHUNK_SECTIONS) {
+        if (result[section]) {
+          result[section] = result[section].filter(item => !item.line || (item.line >= chunk.startLine && item.line <= chunk.endLine));
+        }
+      }
+      chunkReviews.push(result);
+    } catch (error) {
+      console.error(`Error reviewing chunk ${chunkIndex + 1} of ${file.path}:`, error.message);
+      chunkErrors.push(`Chunk ${chunkIndex + 1}/${requests.length}: ${error.message}`);
     }
-    
-    currentChunkLines.push(line);
-    currentChunkTokens += lineTokens;
   }
 
-  // Add the final chunk if any content is left
-  if (currentChunkLines.length > 0) {
-    chunks.push({
-      content: currentChunkLines.join('\n'),
-      startLine: lines.length - currentChunkLines.length + 1,
-    });
+  if (chunkReviews.length === 0) {
+    throw new Error(chunkErrors.join('; '));
+  }
+
+  const aggregated = mergeChunkReviews(chunkReviews, 'Review completed for large file.');
+  if (chunkErrors.length > 0) {
+    aggregated.error = `Partial review, some chunks failed. ${chunkErrors.join('; ')}`;
   }
+  return aggregated;
+}
+
+// Keeps the first of the findings that say the same thing about the same line
+function dedupeFindings(items, section) {
+  const seen = new Set();
+  return items.filter(item => {
+    const text = section === 'fix' ? `${item.explanation}\0${item.code}` : item.description;
+    const key = `${item.line}\0${normalizeFindingText(text)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
 
-  return chunks;
+/**
+ * Combines the reviews of the parts of one file into a single result.
+ * Findings reported by more than one part are kept once.
+ * @param {Array<object>} chunkReviews - The review of each part.
+ * @param {string} fallbackHeadline - The headline when no part produced one.
+ * @returns {object} The combined review.
+ */
+function mergeChunkReviews(chunkReviews, fallbackHeadline) {
+  if (chunkReviews.length === 1) {
+    return chunkReviews[0];
+  }
+  const merge = (section) => dedupeFindings([].concat(...chunkReviews.map(r => r[section] || [])), section);
+  return {
+    dangers: merge('dangers'),
+    issues: merge('issues'),
+    suggestions: merge('suggestions'),
+    good_practices: merge('good_practices'),
+    fix: merge('fix'),
+    score: Math.round(chunkReviews.reduce((sum, r) => sum + (r.score || 0), 0) / chunkReviews.length) || 0,
+    headline: chunkReviews.map((r, i) => `Chunk ${i + 1}: ${r.headline}`).join('; ') || fallbackHeadline,
+  };
 }
 
+/**
+ * Plans the requests of a diff review. Changed regions are sent together when they fit
+ * the context window, and in batches otherwise.
+ * @param {{path: string}} file - The file to review.
+ * @param {Array<{text: string}>} sections - Sections from `buildHunkSections`.
+ * @param {object} context - The shared review context built by `createReviewContext`.
+ * @param {string} [related] - Text sent with every batch after the changes, from `prepareFile`.
+ * @returns {Array<{prompt: string, label: string}>}
+ */
+function planDiffRequests(file, sections, context, related = '') {
+  const budget = Math.floor(context.maxTokens * 0.9) - countLocalTokens(related);
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+
+  for (const section of sections) {
+    const sectionTokens = countLocalTokens(section.text);
+    if (batch.length > 0 && batchTokens + sectionTokens > budget) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push(section);
+    batchTokens += sectionTokens;
+  }
+  batches.push(batch);
 
-function cleanJsonString(text) {
-  // Models can sometimes wrap the JSON in markdown or add commentary.
-  // This function finds the full JSON block within the text.
-  let cleanedText = text.trim();
+  return batches.map((sectionsInBatch, batchIndex) => ({
+    prompt: buildDiffPrompt(file.path, sectionsInBatch) + related,
+    label: batches.length > 1 ? `changes ${batchIndex + 1}/${batches.length} of ${file.path}` : file.path,
+  }));
+}
 
-  // Remove markdown code block fences if present
-  if (cleanedText.startsWith('```json')) {
-    cleanedText = cleanedText.substring(7, cleanedText.lastIndexOf('```')).trim();
-  } else if (cleanedText.startsWith('`')) {
-    cleanedText = cleanedText.substring(1, cleanedText.lastIndexOf('`')).trim();
+/**
+ * Asks the model to review only the changed regions of a file.
+ * Line numbers in the prompt are absolute, so no adjustment is needed afterwards.
+ * @param {{path: string}} file - The file to review.
+ * @param {Array<{text: string}>} sections - Sections from `buildHunkSections`.
+ * @param {object} context - The shared review context built by `createReviewContext`.
+ * @param {string} [related] - Text sent with every batch after the changes, from `prepareFile`.
+ * @returns {Promise<object>} The review findings.
+ */
+async function analyzeDiff(file, sections, context, related = '') {
+  const batchReviews = [];
+  for (const { prompt, label } of planDiffRequests(file, sections, context, related)) {
+    batchReviews.push(await requestReview(context, prompt, label));
   }
+  return mergeChunkReviews(batchReviews, 'Review completed for changed regions.');
+}
+
+/**
+ * Works out which lines of a file a diff review should cover.
+ * @param {{content: string, diff?: string}} file - The changed file.
+ * @param {object} context - The shared review context built by `createReviewContext`.
+ * @returns {{changedLines: object, sections: Array<object>}|null} Null when the whole file should be reviewed.
+ */
+function getDiffScope(file, context) {
+  if (!context.isDiffReview || !file.diff) {
+    return null;
+  }
+  const changedLines = getChangedLines(parseUnifiedDiff(file.diff));
+  const sections = buildHunkSections(file.content, changedLines, context.diffContext);
+  return sections.length > 0 ? { changedLines, sections } : null;
+}
+
+// Why a changed file is not sent to the model, if it is not
+function getSkipReason(file) {
+  if (file.status === 'deleted') {
+    return 'File deleted.';
+  }
+  if (file.generated) {
+    return 'Generated or minified file.';
+  }
+  // A copy is a new file, reviewed in full, however similar it is to its source
+  if (file.status === 'renamed' && file.similarity === 100) {
+    return 'File renamed without changes.';
+  }
+  return null;
+}
+
+// The system prompt of a file review: the profile template filled in for the file, and the output format
+function renderSystemPrompt(file, context) {
+  const instructions = renderPromptTemplate(context.promptTemplate, {
+    language: getLanguage(file.path),
+    path: file.path,
+    profile: context.profile,
+    projectConventions: context.conventions,
+  });
+  return `${instructions}\n\n${context.outputFormat}`;
+}
+
+/**
+ * Works out what a file review sends: its system prompt, the file as sent (with its secrets
+ * redacted), diff scope, the text sent after the code (the imported definitions and the static
+ * analysis of the file) and the cache key. Static analysis sees the original file.
+ * @param {{path: string, content: string, diff?: string}} file - The file to review.
+ * @param {object} context - The review context of a profile, from `createReviewContext`.
+ * @returns {{systemPrompt: string, sent: object, scope: object|null, related: string, analysis: object|null, redactor: object|null, cacheKey: string|null}}
+ */
+function prepareFile(file, context) {
+  const { provider, model, temperature, useCache } = context;
+  const systemPrompt = renderSystemPrompt(file, context);
+  const redactor = context.redaction ? createRedactor(context.redaction) : null;
+  const sent = redactor
+    ? { ...file, content: redactor.redact(file.content), ...(file.diff ? { diff: redactor.redact(file.diff, { where: 'removed lines', diff: true }) } : {}) }
+    : file;
+  const scope = getDiffScope(sent, context);
+  const projectContext = context.projectContext ? context.projectContext.forFile(file) : '';
+  const analysis = context.staticAnalysis ? runStaticAnalysis(file, context.staticAnalysis) : null;
+  let related = formatProjectContext(projectContext) + formatStaticAnalysis(analysis);
+  if (redactor) {
+    related = redactor.redact(related, { where: 'imported definitions' });
+    redactor.secrets.forEach(secret => context.redactedSecrets.add(secret));
+  }
+  const cacheKey = useCache
+    ? computeCacheKey({
+      // The imported definitions are part of the key: a changed dependency may change the review
+      content: (scope ? buildDiffPrompt(file.path, scope.sections) : sent.content) + related,
+      model,
+      systemPrompt,
+      provider: provider.name,
+      temperature,
+    })
+    : null;
+  return { systemPrompt, sent, scope, related, analysis, redactor, cacheKey };
+}
+
+// What a file review says about the file itself: its path and, for changed files, how it changed
+function getFileInfo(file) {
+  return {
+    path: file.path,
+    ...(file.status ? { status: file.status } : {}),
+    ...(file.oldPath ? { oldPath: file.oldPath } : {}),
+  };
+}
+
+// The fingerprints of the findings a step removed from a review, once per finding removed
+function getRemovedFingerprints(before, after) {
+  const kept = FINDING_SECTIONS.flatMap(section => (after[section] || []).map(item => item.fingerprint));
+  return FINDING_SECTIONS.flatMap(section => (before[section] || []).map(item => item.fingerprint)).filter(fingerprint => {
+    const index = kept.indexOf(fingerprint);
+    if (index === -1) return true;
+    kept.splice(index, 1);
+    return false;
+  });
+}
 
-  const firstBrace = cleanedText.indexOf('{');
-  const lastBrace = cleanedText.lastIndexOf('}');
+/**
+ * Reviews a single file, reusing the cached result when the file has not changed.
+ * @param {{path: string, content: string, diff?: string}} file - The file to review.
+ * @param {object} context - The review context of a profile, from `createReviewContext`.
+ * Secrets are redacted before the file is sent and restored in the answer, which is cached as answered.
+ * @returns {Promise<object>} The file review. Failed reviews carry `failed` and `error`; deleted, generated
+ * and unchanged renamed files are not sent to the model and carry `skipped`. Files sent to
+ * the model carry the `usage` of their requests, and the `redactions` made in them. The
+ * fingerprints of the findings dropped outside the diff or suppressed are in `removedFingerprints`,
+ * for `mergeProfileReviews`.
+ */
+async function reviewFile(file, context) {
+  const fileInfo = getFileInfo(file);
 
-  if (firstBrace === -1 || lastBrace === -1) {
-    throw new Error('No valid JSON object found in the AI response.');
+  const skipped = getSkipReason(file);
+  if (skipped) {
+    return { ...fileInfo, skipped, diff: file.diff };
   }
 
-  let jsonString = cleanedText.substring(firstBrace, lastBrace + 1);
+  const { systemPrompt, sent, scope, related, analysis, redactor, cacheKey } = prepareFile(file, context);
+  const fileUsage = createUsage();
+  const fileContext = { ...context, systemPrompt, fileUsage };
+  const usageInfo = () => ({
+    ...(fileUsage.requests > 0 ? { usage: fileUsage } : {}),
+    ...(redactor && redactor.redactions.length > 0 ? { redactions: redactor.redactions } : {}),
+  });
 
-  // Attempt to parse and catch errors for common fixes
   try {
-    JSON.parse(jsonString);
-    return jsonString;
-  } catch (e) {
-    // Simple fixes for common JSON issues
-    // 1. Replace unescaped newlines with escaped newlines
-    jsonString = jsonString.replace(/\n/g, '\\n');
-    // 2. Replace unescaped double quotes within string values (basic attempt)
-    // This is a tricky one and might require more sophisticated parsing for complex cases.
-    // For now, we'll try to escape any unescaped quotes that are not part of a key or value boundary.
-    jsonString = jsonString.replace(/(?<!\\)"/g, '\"');
-    // 3. Remove trailing commas
-    jsonString = jsonString.replace(/,(\s*[}\]])/g, '$1');
-    // 4. Replace single quotes with double quotes for keys and string values
-    jsonString = jsonString.replace(/'([^']*)'/g, '"$1"');
+    let result = cacheKey ? await getCachedReview(cacheKey) : null;
+    const cached = !!result;
+
+    if (!result) {
+      result = scope
+        ? await analyzeDiff(sent, scope.sections, fileContext, related)
+        : await analyzeFile(sent, fileContext, related);
+      // Partial and unparseable reviews are not cached so the next run retries them.
+      if (cacheKey && !result.error && Object.keys(result).length > 0) {
+        await setCachedReview(cacheKey, result);
+      }
+    }
 
-    try {
-      JSON.parse(jsonString);
-      return jsonString;
-    } catch (e2) {
-      throw new Error(`Failed to parse JSON after cleaning: ${e2.message}\nOriginal text: ${text}`);
+    if (redactor) {
+      result = restoreSecrets(result, redactor);
+    }
+    result = applySeverityOverrides(result, context.severity);
+    if (analysis) {
+      result = mergeStaticFindings(result, analysis);
     }
+    // Fingerprinted first, so profiles that drop or suppress the same finding count it once
+    const fingerprinted = addFingerprints(result, file.path, file.content);
+    const scoped = scope ? scopeFindingsToDiff(fingerprinted, scope.changedLines, context.outsideDiff) : fingerprinted;
+    result = applySuppressions(scoped, file, context.profile);
+    const removedFingerprints = {
+      outsideDiffDropped: getRemovedFingerprints(fingerprinted, scoped),
+      suppressed: getRemovedFingerprints(scoped, result),
+    };
+    return { ...fileInfo, ...result, removedFingerprints, ...(cached ? { cached } : {}), ...usageInfo(), diff: file.diff };
+  } catch (error) {
+    console.error(`\nError reviewing file ${file.path}:`, error.message);
+    return { ...fileInfo, failed: true, error: error.message, ...usageInfo(), diff: file.diff };
   }
 }
 
 /**
- * Performs a code review using the OpenAI API on a file-by-file basis.
- * @param {Array<{path: string, content: string}>} files - The code files to review.
+ * Reviews a single file with static analysis alone, for `--static-only`: no request is sent,
+ * and the score comes from `computeStaticScore`.
+ * @param {{path: string, content: string, diff?: string}} file - The file to review.
+ * @param {object} context - The context from `createStaticContext`.
+ * @returns {object} The file review, shaped like the reviews of `reviewFile`.
+ */
+function reviewFileStatically(file, context) {
+  const fileInfo = getFileInfo(file);
+  const skipped = getSkipReason(file);
+  if (skipped) {
+    return { ...fileInfo, skipped, diff: file.diff };
+  }
+
+  const analysis = runStaticAnalysis(file, context.staticAnalysis);
+  let result = mergeStaticFindings({ dangers: [], issues: [], suggestions: [], fix: [] }, analysis);
+  const scope = getDiffScope(file, context);
+  if (scope) {
+    result = scopeFindingsToDiff(result, scope.changedLines, context.outsideDiff);
+  }
+  result = addFingerprints(applySuppressions(result, file, context.profile), file.path, file.content);
+  const count = result.dangers.length + result.issues.length + result.suggestions.length;
+  const { maxComplexity } = analysis.metrics;
+  return {
+    ...fileInfo,
+    ...result,
+    score: computeStaticScore(result),
+    headline: `Static analysis: ${count} finding(s), highest cyclomatic complexity ${maxComplexity}.`,
+    diff: file.diff,
+  };
+}
+
+// How diff reviews are scoped, for the review and static-only contexts
+function getDiffSettings(isDiffReview, options) {
+  return {
+    isDiffReview,
+    diffContext: options.diffContext !== undefined ? Number(options.diffContext) : DEFAULT_DIFF_CONTEXT,
+    outsideDiff: options.outsideDiff || 'drop',
+  };
+}
+
+// The context of a `--static-only` review: no provider, and the first profile for suppressions
+function createStaticContext(isDiffReview, options) {
+  const staticAnalysis = resolveStaticAnalysis(options);
+  if (!staticAnalysis) {
+    throw new Error('--static-only cannot run with static analysis turned off by --no-static or "staticAnalysis": false.');
+  }
+  return { ...getDiffSettings(isDiffReview, options), staticAnalysis, profile: parseProfiles(options.profile)[0] };
+}
+
+// The provider, pricing and context window of a model. The run fails early when the
+// provider has no API key or, with --max-cost, when the price of the model is unknown.
+function createModelSettings(model, options) {
+  const provider = createProvider(model, options);
+  if (provider.requiresApiKey && !provider.apiKey) {
+    throw new Error(provider.label + ' API key not found. Please run `lucai configure`.');
+  }
+  const pricing = provider.getPricing(model);
+  if (Number(options.maxCost) && !pricing) {
+    throw new Error(`The price of ${model} is unknown, so --max-cost cannot be enforced. Set "pricing" in your .lucai.json.`);
+  }
+  return { provider, model, pricing, maxTokens: provider.getContextWindow(model) };
+}
+
+/**
+ * Builds the context shared by the file reviews of a run, with one review context per
+ * profile in `profileContexts`. A profile context has the prompt template, severity
+ * overrides and file filter (`appliesTo`) of its profile, and its own model when the
+ * profile sets one.
  * @param {string} model - The AI model to use.
  * @param {boolean} isSingleFile - Whether this is a review for a single file.
- * @returns {Promise<object>} A promise that resolves to the aggregated review result.
+ * @param {boolean} isDiffReview - Whether the files come from a git diff.
+ * @param {object} options - Review options. `profile` may name several profiles, separated by commas,
+ *   and `prompt` is the path of a file replacing the built-in review instructions.
+ * @returns {object} The review context.
  */
-async function performReview(files, model = 'gpt-4o', isSingleFile = false, isDiffReview = false, onProgress = () => {}, options = {}) {
-  const provider = model.startsWith('gemini') ? 'google' : 'openai';
-  const apiKey = getApiKey(provider);
-  if (!apiKey) {
-    throw new Error(provider.charAt(0).toUpperCase() + provider.slice(1) + ' API key not found. Please run `lucai configure`.`');
-  }
+function createReviewContext(model, isSingleFile, isDiffReview, options) {
+  const modelSettings = createModelSettings(model, options);
+
+  const profiles = parseProfiles(options.profile);
+  validateProfiles(profiles, options.reviewProfiles);
+  const basePrompt = options.prompt ? loadPromptFile(options.prompt) : undefined;
+  const conventions = formatConventions(options.conventions);
+  const schema = getReviewSchema({ isDiffReview, isSingleFile });
+
+  const context = {
+    ...modelSettings,
+    schema,
+    outputFormat: describeOutputFormat(schema, isDiffReview),
+    conventions,
+    budget: createBudget({ maxTokens: Number(options.maxTokens) || 0, maxCost: Number(options.maxCost) || 0 }),
+    retries: options.retries !== undefined ? Number(options.retries) : DEFAULT_RETRIES,
+    concurrency: Number(options.concurrency) || DEFAULT_CONCURRENCY,
+    useCache: options.cache !== false,
+    ...getDiffSettings(isDiffReview, options),
+    projectContext: options.projectContext ? createProjectContext({ budget: options.contextBudget }) : null,
+    staticAnalysis: resolveStaticAnalysis(options),
+    redaction: resolveRedaction(options),
+    // Every secret redacted in the run, to keep them out of the summary request too
+    redactedSecrets: new Set(),
+  };
+  context.profileContexts = profiles.map(name => {
+    const profile = resolveProfile(name, options.reviewProfiles);
+    return {
+      ...context,
+      ...(profile.model ? createModelSettings(profile.model, options) : {}),
+      profile: name,
+      promptTemplate: buildPromptTemplate(profile, { isDiffReview, isSingleFile, basePrompt, conventions }),
+      severity: profile.severity,
+      temperature: profile.temperature,
+      appliesTo: createProfileFilter(profile),
+    };
+  });
+  return context;
+}
 
-  const reviewResults = [];
-  let client;
+// Input tokens of every request a file review would send, counted by the provider
+async function estimateFile(file, context) {
+  const skipped = getSkipReason(file);
+  if (skipped) {
+    return { path: file.path, requests: 0, inputTokens: 0, skipped };
+  }
+  const { systemPrompt, sent, scope, related, cacheKey } = prepareFile(file, context);
+  if (cacheKey && await getCachedReview(cacheKey)) {
+    return { path: file.path, requests: 0, inputTokens: 0, cached: true };
+  }
 
-  if (provider === 'google') {
-    const genAI = new GoogleGenerativeAI(apiKey);
-    client = genAI.getGenerativeModel({ model: model });
-  } else {
-    client = new OpenAI({ apiKey });
+  const requests = scope
+    ? planDiffRequests(sent, scope.sections, context, related)
+    : planFileRequests(sent, context, related);
+  let inputTokens = 0;
+  for (const { prompt } of requests) {
+    inputTokens += await context.provider.countTokens(`${systemPrompt}\n${prompt}`, context.model);
   }
+  return { path: file.path, requests: requests.length, inputTokens };
+}
 
-  const systemPrompt = getSystemPrompt(options, isDiffReview, isSingleFile);
-  
-  const maxTokens = CONTEXT_WINDOWS[model] || 2048; // Default to 2048 if model not in map
-
-
-  for (const [index, file] of files.entries()) {
-    const totalTokens = await countTokens(file.content, model);
-    
-    if (totalTokens > maxTokens * 0.9) {
-      // --- Chunking Logic ---
-      console.log(`File ${file.path} is large (${totalTokens} tokens), splitting into chunks...`);
-      const chunks = await splitCodeIntoChunks(file.content, model, maxTokens * 0.9);
-      const chunkReviews = [];
-
-      for (const [chunkIndex, chunk] of chunks.entries()) {
-        console.log(`  - Reviewing chunk ${chunkIndex + 1}/${chunks.length}...`);
-        const userPrompt = `This is chunk ${chunkIndex + 1}/${chunks.length} of the file ${file.path}. Please review the following code snippet which starts at line ${chunk.startLine}:\n\n${chunk.content}`;
-        try {
-          // Re-using the same AI call logic as for a single file
-          let result;
-          if (provider === 'google') {
-            const response = await client.generateContent([systemPrompt, userPrompt]);
-            const textResponse = await response.response.text();
-            try {
-              result = JSON.parse(cleanJsonString(textResponse));
-            } catch (e) {
-              console.error(`\nFailed to parse JSON for chunk ${chunkIndex + 1} of ${file.path}: ${e.message}`);
-              result = {}; // Continue with an empty result for this chunk
-            }
-          } else {
-            const response = await client.chat.completions.create({
-              model: model,
-              messages: [ { role: 'system', content: systemPrompt }, { role: 'user', content: userPrompt } ],
-              response_format: { type: 'json_object' },
-            });
-            try {
-              result = JSON.parse(response.choices[0].message.content);
-            } catch (e) {
-              console.error(`\nFailed to parse JSON for chunk ${chunkIndex + 1} of ${file.path}: ${e.message}`);
-              result = {}; // Continue with an empty result for this chunk
-            }
-          }
-          // Adjust line numbers to be relative to the original file
-          Object.keys(result).forEach(key => {
-            if (Array.isArray(result[key])) {
-              result[key].forEach(item => {
-                if (item.line) {
-                  item.line = item.line + chunk.startLine - 1;
-                }
-              });
-            }
-          });
-          chunkReviews.push(result);
-        } catch (error) {
-          console.error(`Error reviewing chunk ${chunkIndex + 1} of ${file.path}:`, error.message);
-        }
-      }
+// Adds up costs; the total is unknown when one of them is
+function sumCosts(items) {
+  return items.reduce((sum, { cost }) => (sum === null || cost === null ? null : sum + cost), 0);
+}
 
-      // Aggregate results from all chunks
-      const aggregated = {
-        dangers: [].concat(...chunkReviews.map(r => r.dangers || [])),
-        issues: [].concat(...chunkReviews.map(r => r.issues || [])),
-        suggestions: [].concat(...chunkReviews.map(r => r.suggestions || [])),
-        good_practices: [].concat(...chunkReviews.map(r => r.good_practices || [])),
-        fix: [].concat(...chunkReviews.map(r => r.fix || [])),
-        score: Math.round(chunkReviews.reduce((sum, r) => sum + (r.score || 0), 0) / chunkReviews.length) || 0,
-        headline: chunkReviews.map((r, i) => `Chunk ${i + 1}: ${r.headline}`).join('; ') || "Review completed for large file.",
-      };
-      reviewResults.push({ path: file.path, ...aggregated, diff: file.diff });
-
-    } else {
-      // --- Existing Logic for smaller files ---
-      const userPrompt = `Please review the following code from file: ${file.path}\n\n${file.content}`;
-      try {
-        let result;
-        if (provider === 'google') {
-          const response = await client.generateContent([systemPrompt, userPrompt]);
-          const textResponse = await response.response.text();
-          try {
-            result = JSON.parse(cleanJsonString(textResponse));
-          } catch (e) {
-            console.error(`\nFailed to parse JSON for ${file.path}: ${e.message}`);
-            result = {}; // Continue with an empty result
-          }
-        } else {
-          const response = await client.chat.completions.create({
-            model: model,
-            messages: [
-              { role: 'system', content: systemPrompt },
-              { role: 'user', content: userPrompt },
-            ],
-            response_format: { type: 'json_object' },
-          });
-          try {
-            result = JSON.parse(response.choices[0].message.content);
-          } catch (e) {
-            console.error(`\nFailed to parse JSON for ${file.path}: ${e.message}`);
-            result = {}; // Continue with an empty result
-          }
-        }
-        reviewResults.push({ path: file.path, ...result, diff: file.diff });
+// The review contexts of the profiles that review a file, by the include and exclude paths of the profiles
+function getFileProfileContexts(file, context) {
+  return context.profileContexts.filter(profileContext => profileContext.appliesTo(file.path));
+}
 
-      } catch (error) {
-        console.error(`\nError reviewing file ${file.path}:`, error.message);
-      }
+// Estimates every file of a run, for every profile that reviews it, and adds up the totals
+async function estimateFiles(files, context) {
+  const estimates = await runWithConcurrency(files, context.concurrency, async (file) => {
+    const profileContexts = getFileProfileContexts(file, context);
+    if (profileContexts.length === 0) {
+      return { path: file.path, ...createUsage(), cost: 0, skipped: NOT_IN_PROFILE_PATHS };
     }
-    onProgress(index + 1, files.length);
-  }
+    const perProfile = [];
+    for (const profileContext of profileContexts) {
+      const estimate = await estimateFile(file, profileContext);
+      const outputTokens = estimate.requests * ESTIMATED_OUTPUT_TOKENS;
+      const cost = estimate.requests > 0 ? computeCost({ ...estimate, outputTokens }, profileContext.pricing) : 0;
+      perProfile.push({ ...estimate, outputTokens, cost });
+    }
+    const { cached, ...first } = perProfile[0];
+    const total = perProfile.reduce((sum, estimate) => addUsage(sum, estimate), createUsage());
+    return { ...first, ...total, cost: sumCosts(perProfile), ...(perProfile.every(estimate => estimate.cached) ? { cached } : {}) };
+  });
+  const total = estimates.reduce((sum, estimate) => addUsage(sum, estimate), createUsage());
+  const models = [...new Set(context.profileContexts.map(profileContext => profileContext.model))];
+  return {
+    model: models.join(', '),
+    // Undefined when profiles use different models, which have no single pricing
+    pricing: models.length === 1 ? context.profileContexts[0].pricing : undefined,
+    files: estimates,
+    ...total,
+    cost: sumCosts(estimates),
+  };
+}
+
+/**
+ * Estimates the tokens and cost of a review without sending it. Input tokens are counted
+ * by the provider for every request the review would send; output tokens are assumed at
+ * `ESTIMATED_OUTPUT_TOKENS` per request. Cached files cost nothing.
+ * @param {Array<{path: string, content: string}>} files - The code files to review.
+ * @param {string} model - The AI model to use.
+ * @param {boolean} isSingleFile - Whether this is a review for a single file.
+ * @param {boolean} isDiffReview - Whether the files come from a git diff.
+ * @param {object} options - Review options, as for `performReview`.
+ * @returns {Promise<object>} Per-file and total `requests`, `inputTokens`, `outputTokens` and
+ *   `cost` (null when the pricing of a model is unknown), with the `model` and its `pricing`.
+ */
+async function estimateReview(files, model = 'gpt-4o', isSingleFile = false, isDiffReview = false, options = {}) {
+  return estimateFiles(files, createReviewContext(model, isSingleFile, isDiffReview, options));
+}
+
+// Combines the file reviews of a run into its result: the files, counts, score and summary.
+// A run that reviewed no file has no score.
+async function aggregateReview(reviewResults, isSingleFile, summarize) {
+  const reviewedFiles = reviewResults.filter(result => !result.failed && !result.skipped);
+  const failedFiles = reviewResults.filter(result => result.failed);
 
   const aggregatedResult = {
     files: reviewResults,
     summary: 'Overall review summary across all files.',
-    score: 0,
   };
+
+  const suppressed = reviewResults.reduce((sum, result) => sum + (result.suppressed || 0), 0);
+  if (suppressed > 0) {
+    aggregatedResult.suppressed = suppressed;
+  }
+  const redacted = reviewResults.reduce((sum, result) => sum + (result.redactions ? result.redactions.length : 0), 0);
+  if (redacted > 0) {
+    aggregatedResult.redacted = redacted;
+  }
+
+  if (failedFiles.length > 0) {
+    aggregatedResult.failed = failedFiles.map(({ path, error }) => ({ path, error }));
+  }
   
   if (isSingleFile) {
     delete aggregatedResult.summary;
-    delete aggregatedResult.score;
-  } else if (reviewResults.length > 0) {
-    const totalScore = reviewResults.reduce((sum, result) => sum + (result.score || 0), 0);
-    aggregatedResult.score = Math.round(totalScore / reviewResults.length);
-    aggregatedResult.summary = await generateOverallSummary(reviewResults, model);
+  } else if (reviewedFiles.length > 0) {
+    const totalScore = reviewedFiles.reduce((sum, result) => sum + (result.score || 0), 0);
+    aggregatedResult.score = Math.round(totalScore / reviewedFiles.length);
+    const profileScores = computeProfileScores(reviewedFiles);
+    if (profileScores) {
+      aggregatedResult.profileScores = profileScores;
+    }
+    aggregatedResult.summary = await summarize(reviewedFiles);
   }
+  return aggregatedResult;
+}
+
+// The summary of a `--static-only` review, which has no model to write one
+function summarizeStaticReview(reviewedFiles) {
+  const count = section => reviewedFiles.reduce((sum, result) => sum + result[section].length, 0);
+  return `Static analysis of ${reviewedFiles.length} file(s), without the model: ${count('dangers')} danger(s), ${count('issues')} issue(s) and ${count('suggestions')} suggestion(s).`;
+}
 
+/**
+ * Performs a code review on a file-by-file basis with the provider serving the model.
+ * Files are reviewed by a bounded pool of concurrent workers. With `maxTokens` or `maxCost`,
+ * the review is estimated first and not started if it would exceed them, and it stops
+ * sending requests once they are reached. With several profiles, every file is reviewed
+ * by each of them and the reviews are merged: findings are tagged with their profile, and
+ * the result carries a sub-score per profile in `profileScores`. Profiles with `include` or
+ * `exclude` paths only review the files they cover; files no profile covers are skipped.
+ * Static analysis runs first and its findings are merged into each file review; with
+ * `staticOnly`, it is the whole review and no request is sent.
+ * @param {Array<{path: string, content: string}>} files - The code files to review.
+ * @param {string} model - The AI model to use.
+ * @param {boolean} isSingleFile - Whether this is a review for a single file.
+ * @param {boolean} isDiffReview - Whether the files come from a git diff.
+ * @param {function(number, number): void} onProgress - Called with the completed and total counts of file reviews (one per file and profile).
+ * @param {object} options - Review options (profile, provider, concurrency, retries, cache, maxTokens, maxCost, ...).
+ * @returns {Promise<object>} A promise that resolves to the aggregated review result, with the `usage` of the run.
+ */
+async function performReview(files, model = 'gpt-4o', isSingleFile = false, isDiffReview = false, onProgress = () => {}, options = {}) {
+  if (options.staticOnly) {
+    const staticContext = createStaticContext(isDiffReview, options);
+    const reviewResults = files.map((file, index) => {
+      const result = reviewFileStatically(file, staticContext);
+      onProgress(index + 1, files.length);
+      return result;
+    });
+    const aggregatedResult = await aggregateReview(reviewResults, isSingleFile, summarizeStaticReview);
+    aggregatedResult.usage = createUsage();
+    return aggregatedResult;
+  }
+
+  const context = createReviewContext(model, isSingleFile, isDiffReview, options);
+
+  if (options.maxTokens || options.maxCost) {
+    const problem = checkEstimate(await estimateFiles(files, context), { maxTokens: Number(options.maxTokens), maxCost: Number(options.maxCost) });
+    if (problem) {
+      throw new Error(`${problem} No request was sent. Run with --estimate to see the cost of each file.`);
+    }
+  }
+
+  const tasks = files.flatMap(file => getFileProfileContexts(file, context).map(profileContext => ({ file, profileContext })));
+  let completed = 0;
+  const taskResults = await runWithConcurrency(tasks, context.concurrency, async ({ file, profileContext }) => {
+    const result = await reviewFile(file, profileContext);
+    onProgress(++completed, tasks.length);
+    return result;
+  });
+  const reviewsByFile = new Map(files.map(file => [file, []]));
+  tasks.forEach(({ file, profileContext }, index) => {
+    reviewsByFile.get(file).push({ profile: profileContext.profile, result: taskResults[index] });
+  });
+  const reviewResults = files.map(file => {
+    const reviews = reviewsByFile.get(file);
+    if (reviews.length === 0) {
+      return { path: file.path, skipped: NOT_IN_PROFILE_PATHS, diff: file.diff };
+    }
+    if (context.profileContexts.length > 1) {
+      return mergeProfileReviews(reviews);
+    }
+    const { removedFingerprints, ...result } = reviews[0].result;
+    return result;
+  });
+  const aggregatedResult = await aggregateReview(reviewResults, isSingleFile, reviewedFiles => generateOverallSummary(reviewedFiles, context));
+
+  // Read after the summary, which is a request of its own
+  const { cost } = context.budget;
+  aggregatedResult.usage = { ...context.budget.spent, ...(cost !== null ? { cost } : {}) };
   return aggregatedResult;
 }
 
 module.exports = {
   performReview,
-}; 
\ No newline at end of file
+  estimateReview,
+};
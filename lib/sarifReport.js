@@ -0,0 +1,219 @@
+// lib/sarifReport.js
+// SARIF 2.1.0 output for code-scanning dashboards
+
+const { version } = require('../package.json');
+const { getFindingFingerprint, parseFixSnippet } = require('./findings');
+const { STATIC_RULES } = require('./staticAnalysis');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SECTION_RULES = {
+  dangers: { name: 'Danger', level: 'error', severity: '9.0', description: 'Critical issue such as a security risk or a crash.' },
+  issues: { name: 'Issue', level: 'warning', severity: '5.0', description: 'Notable problem that could lead to bugs or performance issues.' },
+  suggestions: { name: 'Suggestion', level: 'note', severity: '2.0', description: 'Optional improvement.' },
+  fix: { name: 'Fix', level: 'note', severity: '1.0', description: 'Proposed fix without a matching finding.' },
+};
+
+function toUri(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+function getRuleId(profile, section) {
+  return `lucai/${profile}/${section}`;
+}
+
+function buildRule(profile, section) {
+  return {
+    id: getRuleId(profile, section),
+    name: `${profile.charAt(0).toUpperCase() + profile.slice(1)}${SECTION_RULES[section].name}`,
+    shortDescription: { text: `lucai ${profile} review: ${SECTION_RULES[section].name.toLowerCase()}` },
+    fullDescription: { text: SECTION_RULES[section].description },
+    defaultConfiguration: { level: SECTION_RULES[section].level },
+    properties: {
+      tags: ['lucai', profile],
+      // Code scanning treats rules with a security severity as security alerts
+      ...(profile === 'security' ? { 'security-severity': SECTION_RULES[section].severity } : {}),
+    },
+  };
+}
+
+// Rules of static analysis findings, one per rule of `STATIC_RULES`
+function getStaticRuleId(rule) {
+  return `lucai/static/${rule}`;
+}
+
+function buildStaticRule(rule) {
+  const { section, category, description } = STATIC_RULES[rule];
+  return {
+    id: getStaticRuleId(rule),
+    name: `Static${rule.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')}`,
+    shortDescription: { text: `lucai static analysis: ${rule}` },
+    fullDescription: { text: description },
+    defaultConfiguration: { level: SECTION_RULES[section].level },
+    properties: {
+      tags: ['lucai', 'static-analysis', category],
+      ...(category === 'security' ? { 'security-severity': SECTION_RULES[section].severity } : {}),
+    },
+  };
+}
+
+function buildLocation(filePath, line, endLine) {
+  const physicalLocation = { artifactLocation: { uri: toUri(filePath), uriBaseId: '%SRCROOT%' } };
+  if (Number(line) >= 1) {
+    physicalLocation.region = { startLine: Number(line), ...(endLine > line ? { endLine: Number(endLine) } : {}) };
+  }
+  return { physicalLocation };
+}
+
+/**
+ * Converts a lucai fix into a SARIF fix. Snippets whose replaced range is known become an
+ * artifact change; others are kept as a description with the snippet.
+ * @param {string} filePath - The file the fix applies to.
+ * @param {object} fix - A fix with `line`, `explanation` and `code`.
+ * @returns {object}
+ */
+function buildFix(filePath, fix) {
+  const snippet = parseFixSnippet(fix);
+  const description = { text: fix.explanation || 'Proposed fix.' };
+  if (!snippet) {
+    return { description: { text: `${description.text}\n\n${fix.code || ''}`.trim() }, artifactChanges: [] };
+  }
+  return {
+    description,
+    artifactChanges: [{
+      artifactLocation: { uri: toUri(filePath), uriBaseId: '%SRCROOT%' },
+      replacements: [{
+        deletedRegion: { startLine: snippet.startLine, endLine: snippet.endLine },
+        insertedContent: { text: snippet.replacement.join('\n') + '\n' },
+      }],
+    }],
+  };
+}
+
+/**
+ * Generates a SARIF 2.1.0 log for a review result.
+ * Dangers, issues and suggestions map to `error`, `warning` and `note` results, with rule IDs
+ * of the form `lucai/<profile>/<section>`; findings of multi-profile reviews use the profile
+ * that reported them, and findings of static analysis use `lucai/static/<rule>`. The category,
+ * severity and confidence of findings are result properties. Fixes are attached to the findings on the same line.
+ * Files that could not be reviewed are reported as tool execution notifications.
+ * @param {object} reviewData - The result of `performReview`.
+ * @param {object} [options]
+ * @param {string} [options.profile='default'] - The review profile used, for findings not tagged with one.
+ * @param {string} [options.model] - The AI model used.
+ * @returns {object} The SARIF log.
+ */
+function generateSarifReport(reviewData, options = {}) {
+  const profile = options.profile || 'default';
+  // Only meaningful when a baseline was applied to the review
+  const baselineState = (item) => (reviewData.baselined !== undefined ? { baselineState: item.baselined ? 'unchanged' : 'new' } : {});
+  const usedRules = new Map();
+  const ruleFor = (item, section) => {
+    if (item.source === 'static' && STATIC_RULES[item.rule]) {
+      const id = getStaticRuleId(item.rule);
+      if (!usedRules.has(id)) usedRules.set(id, { rule: item.rule });
+      return id;
+    }
+    const ruleProfile = item.profile || profile;
+    const id = getRuleId(ruleProfile, section);
+    if (!usedRules.has(id)) usedRules.set(id, { profile: ruleProfile, section });
+    return id;
+  };
+  const results = [];
+
+  for (const fileReview of reviewData.files || []) {
+    const fileResults = [];
+
+    for (const section of ['dangers', 'issues', 'suggestions']) {
+      for (const item of fileReview[section] || []) {
+        const properties = {
+          ...(item.category ? { category: item.category } : {}),
+          ...(item.severity ? { severity: item.severity } : {}),
+          ...(typeof item.confidence === 'number' ? { confidence: item.confidence } : {}),
+          ...(item.author ? { author: item.author } : {}),
+          ...(item.profiles ? { profiles: item.profiles } : {}),
+        };
+        fileResults.push({
+          ruleId: ruleFor(item, section),
+          level: SECTION_RULES[section].level,
+          message: { text: item.description || 'No description.' },
+          locations: [buildLocation(fileReview.path, item.line, item.endLine)],
+          partialFingerprints: { 'lucaiFinding/v1': getFindingFingerprint(fileReview.path, section, item) },
+          ...baselineState(item),
+          ...(Object.keys(properties).length > 0 ? { properties } : {}),
+        });
+      }
+    }
+
+    for (const fix of fileReview.fix || []) {
+      const target = fileResults.find(result =>
+        result.locations[0].physicalLocation.region &&
+        result.locations[0].physicalLocation.region.startLine === Number(fix.line));
+      if (target) {
+        target.fixes = [...(target.fixes || []), buildFix(fileReview.path, fix)];
+      } else {
+        fileResults.push({
+          ruleId: ruleFor(fix, 'fix'),
+          level: SECTION_RULES.fix.level,
+          message: { text: fix.explanation || 'Proposed fix.' },
+          locations: [buildLocation(fileReview.path, fix.line)],
+          partialFingerprints: { 'lucaiFinding/v1': getFindingFingerprint(fileReview.path, 'fix', fix) },
+          ...baselineState(fix),
+          fixes: [buildFix(fileReview.path, fix)],
+        });
+      }
+    }
+
+    results.push(...fileResults);
+  }
+
+  const sectionOrder = Object.keys(SECTION_RULES);
+  const profileRules = [...usedRules.values()].filter(entry => entry.profile);
+  const staticRules = [...usedRules.values()].filter(entry => entry.rule);
+  const rules = [
+    ...profileRules
+      .sort((a, b) => a.profile.localeCompare(b.profile) || sectionOrder.indexOf(a.section) - sectionOrder.indexOf(b.section))
+      .map(({ profile: ruleProfile, section }) => buildRule(ruleProfile, section)),
+    ...staticRules.sort((a, b) => a.rule.localeCompare(b.rule)).map(({ rule }) => buildStaticRule(rule)),
+  ];
+
+  const failedFiles = (reviewData.files || []).filter(fileReview => fileReview.error);
+  const invocation = {
+    executionSuccessful: !failedFiles.some(fileReview => fileReview.failed),
+    toolExecutionNotifications: failedFiles.map(fileReview => ({
+      level: fileReview.failed ? 'error' : 'warning',
+      message: { text: `${fileReview.failed ? 'Review failed' : 'Review incomplete'}: ${fileReview.error}` },
+      locations: [buildLocation(fileReview.path)],
+    })),
+  };
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'lucai',
+          informationUri: 'https://github.com/allglenn/lucai-cli',
+          version,
+          rules,
+        },
+      },
+      invocations: [invocation],
+      originalUriBaseIds: { '%SRCROOT%': { uri: `file://${process.cwd().replace(/\\/g, '/')}/` } },
+      results,
+      properties: {
+        ...(options.model ? { model: options.model } : {}),
+        ...(reviewData.score !== undefined ? { score: reviewData.score } : {}),
+        ...(reviewData.profileScores ? { profileScores: reviewData.profileScores } : {}),
+        ...(reviewData.suppressed ? { suppressed: reviewData.suppressed } : {}),
+        ...(reviewData.filtered ? { filtered: reviewData.filtered } : {}),
+        ...(reviewData.redacted ? { redacted: reviewData.redacted } : {}),
+      },
+    }],
+  };
+}
+
+module.exports = {
+  generateSarifReport,
+};
@@ -1,33 +1,33 @@
 const fs = require('fs');
 const path = require('path');
-const minimatch = require('minimatch');
+const { createFileSelection } = require('./fileSelection');
 
-const IGNORED_DIRS = ['node_modules', '.git', 'dist', 'build'];
-const ALLOWED_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.py', '.rb', '.go', '.java', '.cs'];
-
-let ignorePatterns = null; // Memoized patterns
-
-async function loadIgnorePatterns() {
-  if (ignorePatterns !== null) {
-    return ignorePatterns; // Return memoized result
-  }
-
-  const ignoreFilePath = path.join(process.cwd(), '.lucaiignore');
+// Reads a selected file, unless its content shows it is binary. Generated files are returned
+// without their content, so the report lists them as not reviewed.
+function readSelectedFile(fullPath, relativePath, selection) {
   try {
-    const ignoreFileContent = await fs.promises.readFile(ignoreFilePath, 'utf-8');
-    ignorePatterns = ignoreFileContent.split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
-  } catch (err) {
-    ignorePatterns = [];
+    const buffer = fs.readFileSync(fullPath);
+    const skipReason = selection.getContentSkipReason(relativePath, buffer);
+    if (skipReason === 'generated') {
+      return { path: relativePath, generated: true };
+    }
+    if (skipReason) {
+      return null;
+    }
+    return { path: relativePath, content: buffer.toString('utf-8') };
+  } catch (error) {
+    console.warn(`Could not read file: ${fullPath}`, error);
+    return null;
   }
-  return ignorePatterns;
 }
 
 /**
  * Recursively scans a directory for source code files.
  * @param {string} dirPath - The absolute path to the directory to scan.
- * @returns {Array<{path: string, content: string}>} An array of file objects.
+ * @param {object} selection - From `createFileSelection`.
+ * @returns {Array<{path: string, content?: string, generated?: boolean}>} An array of file objects.
  */
-async function scanDirectory(dirPath) {
+async function scanDirectory(dirPath, selection) {
   let files = [];
   const entries = fs.readdirSync(dirPath, { withFileTypes: true });
 
@@ -35,19 +35,12 @@ async function scanDirectory(dirPath) {
     const fullPath = path.join(dirPath, entry.name);
     const relativePath = path.relative(process.cwd(), fullPath);
 
-    const isIgnored = ignorePatterns.some(pattern => minimatch(relativePath, pattern, { dot: true }));
-    if (isIgnored) {
-      continue;
-    }
-
-    if (entry.isDirectory() && !IGNORED_DIRS.includes(entry.name)) {
-      files = files.concat(await scanDirectory(fullPath));
-    } else if (entry.isFile() && ALLOWED_EXTENSIONS.includes(path.extname(entry.name))) {
-      try {
-        const content = fs.readFileSync(fullPath, 'utf-8');
-        files.push({ path: relativePath, content });
-      } catch (error) {
-        console.warn(`Could not read file: ${fullPath}`, error);
+    if (entry.isDirectory() && !selection.isIgnored(relativePath, true)) {
+      files = files.concat(await scanDirectory(fullPath, selection));
+    } else if (entry.isFile() && selection.isSelected(relativePath)) {
+      const file = readSelectedFile(fullPath, relativePath, selection);
+      if (file) {
+        files.push(file);
       }
     }
   }
@@ -57,10 +50,12 @@ async function scanDirectory(dirPath) {
 /**
  * Gets the content of the code to be reviewed based on the path option.
  * @param {string} reviewPath - The path to a file or directory.
- * @returns {Promise<Array<{path: string, content: string}>>} A promise that resolves to the content.
+ * @param {object} [options] - Project options for the file selection, see `createFileSelection`.
+ * @returns {Promise<Array<{path: string, content?: string, generated?: boolean}>>} A promise that resolves to the content.
+ *   Generated files carry `generated` instead of their content.
  */
-async function getCodeContent(reviewPath) {
-  await loadIgnorePatterns();
+async function getCodeContent(reviewPath, options = {}) {
+  const selection = createFileSelection(options);
   const absolutePath = path.resolve(reviewPath);
 
   if (!fs.existsSync(absolutePath)) {
@@ -70,20 +65,14 @@ async function getCodeContent(reviewPath) {
   const stats = fs.statSync(absolutePath);
 
   if (stats.isDirectory()) {
-    return await scanDirectory(absolutePath);
+    return await scanDirectory(absolutePath, selection);
   } else if (stats.isFile()) {
     const relativePath = path.relative(process.cwd(), absolutePath);
-    const isIgnored = ignorePatterns.some(pattern => minimatch(relativePath, pattern, { dot: true }));
-    if (isIgnored) {
-      return [];
-    }
-
-    if (ALLOWED_EXTENSIONS.includes(path.extname(absolutePath))) {
-      const content = fs.readFileSync(absolutePath, 'utf-8');
-      return [{ path: relativePath, content }];
-    } else {
+    if (!selection.isSelected(relativePath)) {
       return []; // Return empty for unsupported or ignored files
     }
+    const file = readSelectedFile(absolutePath, relativePath, selection);
+    return file ? [file] : [];
   } else {
     throw new Error(`Path is not a file or directory: ${absolutePath}`);
   }
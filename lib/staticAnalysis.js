@@ -0,0 +1,489 @@
+// lib/staticAnalysis.js
+// Offline analysis run before the model: function metrics and rule-based findings
+
+const path = require('path');
+const { getDeclarationSyntax, findDeclarations } = require('./chunker');
+const { PRIVATE_KEY_BEGIN, findSecrets } = require('./redaction');
+
+const DEFAULT_THRESHOLDS = { maxFunctionLength: 60, maxComplexity: 10, maxNesting: 4 };
+
+// The section, category and severity of the findings of each rule, and how sure the rule is
+const STATIC_RULES = {
+  'hardcoded-secret': { section: 'dangers', category: 'security', severity: 'critical', description: 'A credential or private key written in the source.' },
+  'eval': { section: 'dangers', category: 'security', severity: 'high', confidence: 0.9, description: 'Code built from strings and run with eval or an equivalent.' },
+  'shell-injection': { section: 'dangers', category: 'security', severity: 'critical', confidence: 0.7, description: 'A shell command built from interpolated strings.' },
+  'complexity': { section: 'issues', category: 'maintainability', severity: 'medium', confidence: 1, description: 'A function with a cyclomatic complexity above the limit.' },
+  'function-length': { section: 'suggestions', category: 'maintainability', severity: 'low', confidence: 1, description: 'A function longer than the limit.' },
+  'nesting': { section: 'suggestions', category: 'maintainability', severity: 'low', confidence: 1, description: 'Control flow nested deeper than the limit.' },
+  'todo': { section: 'suggestions', category: 'maintainability', severity: 'low', confidence: 1, description: 'A TODO, FIXME, HACK or XXX comment.' },
+};
+
+// Points deducted from 100 per finding when the score comes from static analysis alone
+const SCORE_PENALTIES = { critical: 20, high: 10, medium: 5, low: 1 };
+
+// The name `lucai review --static-only` records as the model of its reviews
+const STATIC_ANALYSIS_MODEL = 'static-analysis';
+
+const DEBT_MARKER = /\b(TODO|FIXME|HACK|XXX)\b[\s:-]*(.*)/;
+
+const C_LIKE = {
+  comments: { line: '//', blocks: [['/*', '*/']] },
+  quotes: ['"', "'", '`'],
+  // Template literals may span lines; other strings end with their line
+  multilineQuotes: ['`'],
+  regexLiterals: true,
+  decisions: /\b(if|for|while|case|catch)\b|&&|\|\||(?<!\?)\?(?![.?:])/g,
+  control: /\b(if|else|for|while|do|switch|try|catch|finally)\b/,
+  evalCall: /(^|[^\w$.])eval\s*\(|\bnew\s+Function\s*\(/,
+  shellCall: /\b(exec|execSync)\s*\(\s*(`[^`]*\$\{|(['"])[^'"]*\3\s*\+|[\w$.]+\s*\+)/,
+  shellModule: /child_process/,
+};
+
+const SYNTAXES = [
+  {
+    extensions: ['.py'],
+    comments: { line: '#', blocks: [['"""', '"""'], ["'''", "'''"]] },
+    quotes: ['"', "'"],
+    multilineQuotes: [],
+    indented: true,
+    decisions: /\b(if|elif|for|while|except|and|or|case)\b/g,
+    control: /^\s*(if|elif|else|for|while|try|except|finally|with|match|case)\b/,
+    evalCall: /(^|[^\w.])(eval|exec)\s*\(/,
+    shellCall: /\b(os\.system|os\.popen)\s*\(\s*(f['"]|(['"])[^'"]*\3\s*(%|\+|\.format))|\bsubprocess\.\w+\s*\(\s*(f['"]|(['"])[^'"]*\6\s*(%|\+|\.format)).*shell\s*=\s*True/,
+  },
+  {
+    extensions: ['.rb'],
+    comments: { line: '#', blocks: [] },
+    quotes: ['"', "'"],
+    multilineQuotes: [],
+    indented: true,
+    decisions: /\b(if|elsif|unless|while|until|for|when|rescue|and|or)\b|&&|\|\|/g,
+    control: /^\s*(if|elsif|else|unless|while|until|for|case|begin|rescue)\b|\bdo\b(\s*\|[^|]*\|)?\s*$/,
+    evalCall: /(^|[^\w.])(eval|instance_eval|class_eval)\s*[( ]/,
+    shellCall: /`[^`]*#\{|\b(system|exec|spawn)\s*\(?\s*"[^"]*#\{/,
+  },
+  {
+    extensions: ['.sh', '.bash', '.zsh', '.yml', '.yaml', '.toml', '.r', '.pl'],
+    comments: { line: '#', blocks: [] },
+    quotes: ['"', "'"],
+    multilineQuotes: [],
+  },
+];
+
+function getSyntax(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return SYNTAXES.find(syntax => syntax.extensions.includes(extension)) || C_LIKE;
+}
+
+/**
+ * Resolves the static analysis settings of a review: on by default, off with `--no-static` or
+ * `"staticAnalysis": false` in `.lucai.json`. An object in `staticAnalysis` overrides the
+ * thresholds (`maxFunctionLength`, `maxComplexity`, `maxNesting`) and turns rules off with
+ * `rules: { "todo": false }`.
+ * @param {object} options - Merged review options.
+ * @returns {{maxFunctionLength: number, maxComplexity: number, maxNesting: number, rules: Set<string>}|null}
+ *   Null when static analysis is off.
+ * @throws {Error} On an invalid threshold or an unknown rule.
+ */
+function resolveStaticAnalysis(options) {
+  if (options.static === false || options.staticAnalysis === false) {
+    return null;
+  }
+  const config = options.staticAnalysis && typeof options.staticAnalysis === 'object' ? options.staticAnalysis : {};
+  const settings = { ...DEFAULT_THRESHOLDS, rules: new Set(Object.keys(STATIC_RULES)) };
+  for (const name of Object.keys(DEFAULT_THRESHOLDS)) {
+    if (config[name] === undefined) continue;
+    if (!Number.isInteger(config[name]) || config[name] < 1) {
+      throw new Error(`Invalid "staticAnalysis.${name}" in .lucai.json: use a positive integer.`);
+    }
+    settings[name] = config[name];
+  }
+  for (const [rule, enabled] of Object.entries(config.rules || {})) {
+    if (!STATIC_RULES[rule]) {
+      throw new Error(`Unknown rule "${rule}" in "staticAnalysis.rules" of .lucai.json. Available rules: ${Object.keys(STATIC_RULES).join(', ')}.`);
+    }
+    if (enabled === false) settings.rules.delete(rule);
+  }
+  return settings;
+}
+
+// A `/` starts a regex literal after an operator, an opening bracket, a comma or a keyword
+// such as `return`; after a value it divides
+const REGEX_PRECEDER = /(^|[(,=:[!&|?{};+\-*%<>~^]|\b(return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await))\s*$/;
+
+// The index of the `/` that closes the regex literal opened at `start`, or -1 when the line has none
+function findRegexEnd(line, start) {
+  let inClass = false;
+  for (let index = start + 1; index < line.length; index++) {
+    const char = line[index];
+    if (char === '\\') index++;
+    else if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) return index;
+  }
+  return -1;
+}
+
+/**
+ * Splits each line into its code (comments removed, strings kept), its code with the contents
+ * of strings and regex literals removed, and its comment text. Block comments and multi-line
+ * strings carry over to the following lines.
+ * @param {Array<string>} lines - The lines of a file.
+ * @param {object} syntax - An entry of `SYNTAXES`, or `C_LIKE`.
+ * @returns {Array<{code: string, bare: string, comment: string}>}
+ */
+function scanLines(lines, syntax) {
+  // Inside a block comment: { end }; inside a string: { quote }
+  let state = null;
+  return lines.map(line => {
+    let code = '';
+    let bare = '';
+    let comment = '';
+    let index = 0;
+    while (index < line.length) {
+      if (state && state.end) {
+        const close = line.indexOf(state.end, index);
+        comment += line.slice(index, close === -1 ? line.length : close);
+        index = close === -1 ? line.length : close + state.end.length;
+        if (close !== -1) state = null;
+        continue;
+      }
+      const char = line[index];
+      if (state && state.quote) {
+        code += char;
+        if (char === '\\') {
+          code += line[index + 1] || '';
+          index += 2;
+          continue;
+        }
+        if (char === state.quote) {
+          bare += char;
+          state = null;
+        }
+        index++;
+        continue;
+      }
+      if (line.startsWith(syntax.comments.line, index)) {
+        comment += line.slice(index + syntax.comments.line.length);
+        break;
+      }
+      const block = syntax.comments.blocks.find(([open]) => line.startsWith(open, index));
+      if (block) {
+        state = { end: block[1] };
+        index += block[0].length;
+        continue;
+      }
+      // Quotes inside a regex literal open no string
+      const regexEnd = syntax.regexLiterals && char === '/' && REGEX_PRECEDER.test(bare) ? findRegexEnd(line, index) : -1;
+      if (regexEnd !== -1) {
+        code += line.slice(index, regexEnd + 1);
+        bare += '//';
+        index = regexEnd + 1;
+        continue;
+      }
+      code += char;
+      bare += char;
+      if (syntax.quotes.includes(char)) state = { quote: char };
+      index++;
+    }
+    if (state && state.quote && !syntax.multilineQuotes.includes(state.quote)) {
+      state = null;
+    }
+    return { code, bare, comment };
+  });
+}
+
+// Declarations that are not functions: classes, interfaces, types and plain exports
+const NOT_FUNCTION = /\b(class|interface|enum|struct|record|module)\s+\w|^\s*(export\s+)?type\s+\w+\s*=|^type\s/;
+
+function isFunction(text) {
+  if (NOT_FUNCTION.test(text)) return false;
+  if (/^\s*(module\.)?exports(\.\w+)?\s*=/.test(text)) return /\bfunction\b|=>/.test(text);
+  return text.includes('(');
+}
+
+function getFunctionName(text) {
+  const match = text.match(/\bfunction\s*\*?\s*([\w$]+)/)
+    || text.match(/\b(?:def|func)\s+(?:\([^)]*\)\s*)?([\w$?!]+)/)
+    || text.match(/([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\(|[\w$]+\s*=>)/)
+    || text.match(/([\w$]+)\s*\(/);
+  return match ? match[1] : 'anonymous';
+}
+
+function getIndent(text) {
+  return text.match(/^\s*/)[0].length;
+}
+
+// The last line of a function whose body is in braces. The body opens at the first brace
+// outside the parameter list; a function without one ends at its first `;`.
+function findBraceEnd(scanned, signatureLine) {
+  let depth = 0;
+  let parens = 0;
+  let opened = false;
+  for (let index = signatureLine - 1; index < scanned.length; index++) {
+    for (const char of scanned[index].bare) {
+      if (!opened && char === '(') parens++;
+      else if (!opened && char === ')') parens--;
+      else if (char === '{' && (opened || parens === 0)) {
+        opened = true;
+        depth++;
+      } else if (char === '}' && opened && --depth === 0) {
+        return index + 1;
+      }
+    }
+    if (!opened && (/;\s*$/.test(scanned[index].bare) || index - signatureLine >= 5)) {
+      return index + 1;
+    }
+  }
+  return scanned.length;
+}
+
+// The last line of a function whose body is indented: the line before the next line indented
+// at most as much as the declaration, or that line itself when it closes the body (`end`)
+function findIndentEnd(lines, signatureLine) {
+  const indent = getIndent(lines[signatureLine - 1]);
+  let last = signatureLine;
+  for (let index = signatureLine; index < lines.length; index++) {
+    if (!lines[index].trim()) continue;
+    if (getIndent(lines[index]) <= indent) {
+      return lines[index].trim() === 'end' ? index + 1 : last;
+    }
+    last = index + 1;
+  }
+  return last;
+}
+
+// The deepest nesting of control statements between two lines, by braces or by indentation
+function measureNesting(lines, scanned, syntax, startLine, endLine) {
+  let deepest = 0;
+  if (syntax.indented) {
+    const open = [];
+    for (let line = startLine + 1; line <= endLine; line++) {
+      const { bare } = scanned[line - 1];
+      if (!bare.trim()) continue;
+      const indent = getIndent(lines[line - 1]);
+      // `else` and the like close the branch at their indentation and open their own
+      while (open.length > 0 && open[open.length - 1] >= indent) open.pop();
+      if (syntax.control.test(bare)) {
+        open.push(indent);
+        deepest = Math.max(deepest, open.length);
+      }
+    }
+    return deepest;
+  }
+
+  // One entry per open brace: whether a control statement opened it
+  const braces = [];
+  for (let line = startLine; line <= endLine; line++) {
+    const { bare } = scanned[line - 1];
+    const isControl = syntax.control.test(bare);
+    for (const char of bare) {
+      if (char === '{') {
+        braces.push(isControl && line > startLine);
+        deepest = Math.max(deepest, braces.filter(Boolean).length);
+      } else if (char === '}') {
+        braces.pop();
+      }
+    }
+  }
+  return deepest;
+}
+
+function countDecisions(scanned, syntax, startLine, endLine) {
+  let count = 0;
+  for (let line = startLine; line <= endLine; line++) {
+    count += (scanned[line - 1].bare.match(syntax.decisions) || []).length;
+  }
+  return count;
+}
+
+/**
+ * Measures the functions of a file: their length, cyclomatic complexity (one plus the
+ * branches, loops, cases and boolean operators) and deepest nesting of control statements.
+ * Nested functions count towards the functions around them.
+ * @param {Array<string>} lines - The lines of the file.
+ * @param {Array<object>} scanned - From `scanLines`.
+ * @param {object} syntax - An entry of `SYNTAXES`, or `C_LIKE`.
+ * @param {object} declarationSyntax - From `getDeclarationSyntax`.
+ * @returns {Array<{name: string, line: number, endLine: number, length: number, complexity: number, nesting: number}>}
+ */
+function measureFunctions(lines, scanned, syntax, declarationSyntax) {
+  return findDeclarations(lines, declarationSyntax)
+    .filter(({ signatureLine }) => isFunction(scanned[signatureLine - 1].code))
+    .map(({ signatureLine }) => {
+      const endLine = syntax.indented ? findIndentEnd(lines, signatureLine) : findBraceEnd(scanned, signatureLine);
+      return {
+        name: getFunctionName(scanned[signatureLine - 1].code),
+        line: signatureLine,
+        endLine,
+        length: endLine - signatureLine + 1,
+        complexity: 1 + countDecisions(scanned, syntax, signatureLine, endLine),
+        nesting: measureNesting(lines, scanned, syntax, signatureLine, endLine),
+      };
+    });
+}
+
+function createFinding(rule, item) {
+  const { section, category, severity, confidence } = STATIC_RULES[rule];
+  return { section, finding: { category, severity, confidence, ...item, source: 'static', rule } };
+}
+
+function findSecret(line) {
+  if (PRIVATE_KEY_BEGIN.test(line)) {
+    return { description: 'Hardcoded private key; load it from a file outside the repository or a secret store instead.', confidence: 0.9 };
+  }
+  const [secret] = findSecrets(line);
+  if (!secret) {
+    return null;
+  }
+  if (secret.kind === 'credential') {
+    return { description: `Hardcoded credential in "${secret.name}"; load it from the environment or a secret store instead.`, severity: 'high', confidence: 0.6 };
+  }
+  return { description: `Hardcoded ${secret.kind}; load it from the environment or a secret store instead.`, confidence: 0.9 };
+}
+
+// Findings of the rules that look at single lines: secrets, debt markers and dangerous calls
+function checkLines(lines, scanned, syntax, usesShell) {
+  const findings = [];
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    const { code, comment } = scanned[index];
+    const secret = findSecret(text);
+    if (secret) {
+      findings.push(createFinding('hardcoded-secret', { line, ...secret }));
+    }
+    const debt = comment.match(DEBT_MARKER);
+    if (debt) {
+      const note = debt[2].replace(/\*\/\s*$/, '').trim();
+      const quoted = note.length > 80 ? `${note.slice(0, 77)}...` : note;
+      findings.push(createFinding('todo', { line, description: `Unresolved ${debt[1]} comment${quoted ? `: "${quoted}".` : '.'}` }));
+    }
+    if (syntax.evalCall && syntax.evalCall.test(code)) {
+      findings.push(createFinding('eval', { line, description: 'Code is built from a string and run with eval or an equivalent, which allows code injection.' }));
+    }
+    if (usesShell && syntax.shellCall.test(code)) {
+      findings.push(createFinding('shell-injection', { line, description: 'A shell command is built from interpolated values, which allows command injection; pass arguments as an array instead.' }));
+    }
+  });
+  return findings;
+}
+
+/**
+ * Analyzes a file without the model: measures its functions, then checks them against the
+ * thresholds and the lines of the file against the rules. Metrics are only computed for
+ * languages whose declarations lucai recognizes; line rules apply to every file.
+ * @param {{path: string, content: string}} file - The file to analyze.
+ * @param {object} settings - From `resolveStaticAnalysis`.
+ * @returns {{metrics: object, dangers: Array<object>, issues: Array<object>, suggestions: Array<object>}}
+ *   Findings carry `source: 'static'` and the `rule` that reported them.
+ */
+function runStaticAnalysis(file, settings) {
+  const lines = file.content.split('\n');
+  const syntax = getSyntax(file.path);
+  const scanned = scanLines(lines, syntax);
+  const declarationSyntax = getDeclarationSyntax(file.path);
+  const functions = declarationSyntax ? measureFunctions(lines, scanned, syntax, declarationSyntax) : [];
+
+  const findings = [];
+  for (const fn of functions) {
+    const range = { line: fn.line, endLine: fn.endLine };
+    if (fn.length > settings.maxFunctionLength) {
+      findings.push(createFinding('function-length', { ...range, description: `Function ${fn.name} is ${fn.length} lines long (limit ${settings.maxFunctionLength}); split it into smaller functions.` }));
+    }
+    if (fn.complexity > settings.maxComplexity) {
+      findings.push(createFinding('complexity', { ...range, description: `Function ${fn.name} has a cyclomatic complexity of ${fn.complexity} (limit ${settings.maxComplexity}); simplify its branching.` }));
+    }
+    if (fn.nesting > settings.maxNesting) {
+      findings.push(createFinding('nesting', { ...range, description: `Function ${fn.name} nests control flow ${fn.nesting} levels deep (limit ${settings.maxNesting}); use early returns or extract functions.` }));
+    }
+  }
+  const usesShell = !syntax.shellModule || syntax.shellModule.test(file.content);
+  findings.push(...checkLines(lines, scanned, syntax, usesShell && !!syntax.shellCall));
+
+  const analysis = {
+    metrics: {
+      lines: lines.length,
+      functions: functions.length,
+      maxFunctionLength: Math.max(0, ...functions.map(fn => fn.length)),
+      maxComplexity: Math.max(0, ...functions.map(fn => fn.complexity)),
+      maxNesting: Math.max(0, ...functions.map(fn => fn.nesting)),
+    },
+    dangers: [],
+    issues: [],
+    suggestions: [],
+  };
+  for (const { section, finding } of findings) {
+    if (settings.rules.has(finding.rule)) analysis[section].push(finding);
+  }
+  return analysis;
+}
+
+/**
+ * Formats the metrics of a file on one line, for reports and prompts.
+ * @param {object} metrics - The `metrics` of `runStaticAnalysis`.
+ * @returns {string}
+ */
+function formatMetrics(metrics) {
+  return `${metrics.lines} lines, ${metrics.functions} function(s), longest function ${metrics.maxFunctionLength} lines, highest cyclomatic complexity ${metrics.maxComplexity}, deepest nesting ${metrics.maxNesting}`;
+}
+
+/**
+ * Formats the results of static analysis for the prompt, after the code, so the model
+ * builds on them instead of repeating them and weighs the metrics in the score.
+ * @param {object|null} analysis - From `runStaticAnalysis`.
+ * @returns {string} Empty when there is no analysis.
+ */
+function formatStaticAnalysis(analysis) {
+  if (!analysis) return '';
+  const findings = ['dangers', 'issues', 'suggestions'].flatMap(section => analysis[section].map(item =>
+    `- Line ${item.endLine > item.line ? `${item.line}-${item.endLine}` : item.line} (${item.severity}): ${item.description}`));
+  return [
+    '',
+    '',
+    'Static analysis of this file by lucai. Its findings are already in the report: do not repeat them, but take them and the metrics into account in the score.',
+    `Metrics: ${formatMetrics(analysis.metrics)}.`,
+    ...(findings.length > 0 ? ['Findings:', ...findings] : ['Findings: none.']),
+  ].join('\n');
+}
+
+/**
+ * Adds the findings of static analysis to the review of a file, with its metrics. A static
+ * finding is left out when the model reported a finding of the same category on the same line.
+ * @param {object} result - The review of the file.
+ * @param {object} analysis - From `runStaticAnalysis`.
+ * @returns {object} A new review result.
+ */
+function mergeStaticFindings(result, analysis) {
+  const merged = { ...result, metrics: analysis.metrics };
+  const reported = ['dangers', 'issues', 'suggestions'].flatMap(section => result[section] || []);
+  for (const section of ['dangers', 'issues', 'suggestions']) {
+    const added = analysis[section].filter(item =>
+      !reported.some(other => Number(other.line) === item.line && other.category === item.category));
+    merged[section] = [...(result[section] || []), ...added];
+  }
+  return merged;
+}
+
+/**
+ * Scores a file from its static findings alone, for reviews without the model: 100 minus
+ * `SCORE_PENALTIES` for each finding by severity.
+ * @param {object} result - The review of the file, with its static findings.
+ * @returns {number} A score from 0 to 100.
+ */
+function computeStaticScore(result) {
+  const penalty = ['dangers', 'issues', 'suggestions']
+    .flatMap(section => result[section] || [])
+    .reduce((sum, item) => sum + (SCORE_PENALTIES[item.severity] || 0), 0);
+  return Math.max(0, 100 - penalty);
+}
+
+module.exports = {
+  STATIC_RULES,
+  STATIC_ANALYSIS_MODEL,
+  resolveStaticAnalysis,
+  runStaticAnalysis,
+  formatMetrics,
+  formatStaticAnalysis,
+  mergeStaticFindings,
+  computeStaticScore,
+};
@@ -0,0 +1,125 @@
+// lib/suppressions.js
+// Inline `lucai-disable` comments that suppress findings on lines, regions or whole files
+
+const path = require('path');
+const { LANGUAGE_EXTENSIONS } = require('./fileSelection');
+
+const DIRECTIVE = '(lucai-(?:disable-next-line|disable-line|disable-file|disable|enable))\\b';
+const C_STYLE = new RegExp(`(?:\\/\\/|\\/\\*)\\s*${DIRECTIVE}(.*?)(?:\\*\\/|$)`);
+const HASH_STYLE = new RegExp(`#\\s*${DIRECTIVE}(.*)$`);
+// Extensions added in .lucai.json have no known comment style: both are recognized
+const ANY_STYLE = new RegExp(`(?:\\/\\/|\\/\\*|#)\\s*${DIRECTIVE}(.*?)(?:\\*\\/|$)`);
+
+const HASH_COMMENT_LANGUAGES = ['python', 'ruby'];
+
+// Comment styles for the languages in LANGUAGE_EXTENSIONS (lib/fileSelection.js)
+const COMMENT_STYLES = Object.fromEntries(Object.entries(LANGUAGE_EXTENSIONS).flatMap(([language, extensions]) =>
+  extensions.map(extension => [extension, HASH_COMMENT_LANGUAGES.includes(language) ? HASH_STYLE : C_STYLE])));
+
+const SUPPRESSIBLE_SECTIONS = ['dangers', 'issues', 'suggestions', 'fix'];
+const SECTION_KINDS = { dangers: 'danger', issues: 'issue', suggestions: 'suggestion', fix: 'fix' };
+
+// "security, performance -- reason" => ['security', 'performance']
+function parseTargets(text) {
+  return text.split('--')[0].split(/[\s,]+/).map(target => target.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Parses the suppression comments of a file. Supported directives, in the comment style of the language:
+ * - `lucai-disable-next-line [targets]`: the line after the comment.
+ * - `lucai-disable-line [targets]`: the line of the comment.
+ * - `lucai-disable [targets]` ... `lucai-enable`: a region, or the rest of the file without `lucai-enable`.
+ * - `lucai-disable-file [targets]`: the whole file.
+ * Targets are finding kinds (danger, issue, suggestion, fix), categories or profile names. Without
+ * targets, every finding is suppressed. Text after `--` is a free-form reason.
+ * @param {string} filePath - The file, for its comment style.
+ * @param {string} content - The source of the file.
+ * @returns {Array<{startLine: number, endLine: number, targets: Array<string>, wholeFile?: boolean}>} The suppressed ranges.
+ */
+function parseSuppressions(filePath, content) {
+  const pattern = COMMENT_STYLES[path.extname(filePath)] || ANY_STYLE;
+  if (!content || !content.includes('lucai-')) {
+    return [];
+  }
+
+  const lines = content.split('\n');
+  const ranges = [];
+  let openRegions = [];
+
+  lines.forEach((text, index) => {
+    const match = text.match(pattern);
+    if (!match) return;
+    const lineNumber = index + 1;
+    const targets = parseTargets(match[2]);
+
+    switch (match[1]) {
+      case 'lucai-disable-next-line':
+        ranges.push({ startLine: lineNumber + 1, endLine: lineNumber + 1, targets });
+        break;
+      case 'lucai-disable-line':
+        ranges.push({ startLine: lineNumber, endLine: lineNumber, targets });
+        break;
+      case 'lucai-disable-file':
+        ranges.push({ startLine: 1, endLine: Infinity, targets, wholeFile: true });
+        break;
+      case 'lucai-disable':
+        openRegions.push({ startLine: lineNumber, targets });
+        break;
+      case 'lucai-enable':
+        // `lucai-enable` closes every open region
+        for (const region of openRegions) {
+          ranges.push({ ...region, endLine: lineNumber });
+        }
+        openRegions = [];
+        break;
+    }
+  });
+
+  for (const region of openRegions) {
+    ranges.push({ ...region, endLine: Infinity });
+  }
+  return ranges;
+}
+
+function matchesTargets(targets, section, item, profile) {
+  if (targets.length === 0) return true;
+  const names = [section, SECTION_KINDS[section], item.category, item.profile, profile]
+    .filter(Boolean)
+    .map(name => String(name).toLowerCase());
+  return targets.some(target => names.includes(target));
+}
+
+/**
+ * Removes the findings suppressed by `lucai-disable` comments from a per-file review result.
+ * File-wide suppressions also apply to findings without a line.
+ * @param {object} result - A per-file review result.
+ * @param {{path: string, content?: string}} file - The reviewed file.
+ * @param {string} [profile] - The review profile, matched against suppression targets.
+ * @returns {object} The result without the suppressed findings, and their number as `suppressed`.
+ */
+function applySuppressions(result, file, profile) {
+  const ranges = parseSuppressions(file.path, file.content);
+  if (ranges.length === 0) {
+    return result;
+  }
+
+  let suppressed = 0;
+  const filtered = { ...result };
+  for (const section of SUPPRESSIBLE_SECTIONS) {
+    if (!result[section]) continue;
+    filtered[section] = result[section].filter(item => {
+      const line = Number(item.line);
+      const isSuppressed = ranges.some(range =>
+        (range.wholeFile || (line >= range.startLine && line <= range.endLine)) &&
+        matchesTargets(range.targets, section, item, profile));
+      if (isSuppressed) suppressed++;
+      return !isSuppressed;
+    });
+  }
+  return suppressed > 0 ? { ...filtered, suppressed } : result;
+}
+
+module.exports = {
+  parseSuppressions,
+  applySuppressions,
+};
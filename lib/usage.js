@@ -0,0 +1,190 @@
+// lib/usage.js
+// Token usage, cost estimates and spending limits of reviews
+
+const chalk = require('chalk');
+
+// Output tokens assumed per review request when estimating; the real count is only known afterwards
+const ESTIMATED_OUTPUT_TOKENS = 1000;
+
+/**
+ * Creates an empty usage record.
+ * @returns {{requests: number, inputTokens: number, outputTokens: number}}
+ */
+function createUsage() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+/**
+ * Adds the usage of a request, or of another record, to a usage record.
+ * @param {object} target - The record to add to.
+ * @param {{requests?: number, inputTokens: number, outputTokens: number}} usage - The usage to add.
+ *   A missing `requests` counts as one request.
+ * @returns {object} The target.
+ */
+function addUsage(target, usage) {
+  target.requests += usage.requests ?? 1;
+  target.inputTokens += usage.inputTokens || 0;
+  target.outputTokens += usage.outputTokens || 0;
+  return target;
+}
+
+/**
+ * Computes the cost of token usage.
+ * @param {{inputTokens: number, outputTokens: number}} usage - The usage.
+ * @param {{input: number, output: number}|null} pricing - USD per million input and output tokens.
+ * @returns {number|null} The cost in USD, or null when the pricing is unknown.
+ */
+function computeCost(usage, pricing) {
+  if (!pricing) return null;
+  return (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+}
+
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'unknown';
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+function formatTokens(tokens) {
+  return tokens.toLocaleString('en-US');
+}
+
+/**
+ * Tracks the spending of a run against its limits. Each request reserves its estimated
+ * tokens before it is sent and records its actual usage afterwards, so requests running
+ * in parallel cannot overspend together. Requests are priced one by one, as the profiles
+ * of a run may use different models.
+ * @param {object} limits
+ * @param {number} [limits.maxTokens] - The maximum input and output tokens of the run.
+ * @param {number} [limits.maxCost] - The maximum cost of the run, in USD.
+ * @returns {{reserve: function(object, object): function(): void, record: function(object, object): void, spent: object, cost: number|null}}
+ */
+function createBudget({ maxTokens, maxCost }) {
+  const spent = createUsage();
+  const reserved = createUsage();
+  let spentCost = 0;
+  let reservedCost = 0;
+  let costKnown = true;
+
+  return {
+    spent,
+
+    /**
+     * The cost of the recorded usage in USD, or null when the pricing of a model used is unknown.
+     * @type {number|null}
+     */
+    get cost() {
+      return costKnown ? spentCost : null;
+    },
+
+    /**
+     * Reserves the estimated usage of a request.
+     * @param {{inputTokens: number, outputTokens: number}} estimate - The estimated usage.
+     * @param {{input: number, output: number}|null} pricing - The pricing of the model of the request.
+     * @returns {function(): void} Releases the reservation once the request is done.
+     * @throws {Error} When the request could exceed a limit, or its cost is unknown under a
+     *   cost limit; it must not be sent.
+     */
+    reserve(estimate, pricing) {
+      const total = addUsage(addUsage(addUsage(createUsage(), spent), reserved), estimate);
+      const cost = computeCost(estimate, pricing);
+      if (maxCost && cost === null) {
+        throw new Error('The price of the model is unknown, so --max-cost cannot be enforced. Set "pricing" in your .lucai.json.');
+      }
+      const estimatedCost = cost || 0;
+      if (maxTokens && total.inputTokens + total.outputTokens > maxTokens) {
+        throw new Error(`Token budget reached: ${formatTokens(spent.inputTokens + spent.outputTokens)} of ${formatTokens(maxTokens)} tokens used (--max-tokens).`);
+      }
+      if (maxCost && spentCost + reservedCost + estimatedCost > maxCost) {
+        throw new Error(`Cost budget reached: ${formatCost(spentCost)} of ${formatCost(maxCost)} spent (--max-cost).`);
+      }
+      addUsage(reserved, estimate);
+      reservedCost += estimatedCost;
+      return () => {
+        addUsage(reserved, { requests: -1, inputTokens: -estimate.inputTokens, outputTokens: -estimate.outputTokens });
+        reservedCost -= estimatedCost;
+      };
+    },
+
+    /**
+     * Records the actual usage of a request.
+     * @param {{inputTokens: number, outputTokens: number}} usage - The usage.
+     * @param {{input: number, output: number}|null} pricing - The pricing of the model of the request.
+     */
+    record(usage, pricing) {
+      addUsage(spent, usage);
+      const cost = computeCost(usage, pricing);
+      if (cost === null) costKnown = false;
+      else spentCost += cost;
+    },
+  };
+}
+
+/**
+ * Checks a pre-flight estimate against the limits of a run.
+ * @param {object} estimate - The result of `estimateReview`.
+ * @param {object} limits - `maxTokens` and `maxCost`, as for `createBudget`.
+ * @returns {string|null} Why the run would overspend, or null when it fits.
+ */
+function checkEstimate(estimate, { maxTokens, maxCost }) {
+  const tokens = estimate.inputTokens + estimate.outputTokens;
+  if (maxTokens && tokens > maxTokens) {
+    return `The review would use about ${formatTokens(tokens)} tokens, more than --max-tokens ${formatTokens(maxTokens)}.`;
+  }
+  if (maxCost && estimate.cost === null) {
+    return 'The cost of the review is unknown, as the price of a model is unknown, so --max-cost cannot be enforced.';
+  }
+  if (maxCost && estimate.cost > maxCost) {
+    return `The review would cost about ${formatCost(estimate.cost)}, more than --max-cost ${formatCost(maxCost)}.`;
+  }
+  return null;
+}
+
+/**
+ * Formats a pre-flight estimate as a terminal table, largest files first.
+ * @param {object} estimate - The result of `estimateReview`. Its `pricing` is undefined when
+ *   the profiles of the review use several models.
+ * @returns {string}
+ */
+function formatEstimate(estimate) {
+  const rows = [...estimate.files].sort((a, b) => b.inputTokens - a.inputTokens);
+  const pathWidth = Math.max(4, ...rows.map(row => row.path.length));
+  const header = `${'File'.padEnd(pathWidth)}  ${'Requests'.padStart(8)}  ${'Input tokens'.padStart(12)}  ${'Cost'.padStart(9)}`;
+  const lines = rows.map(row => {
+    const note = row.cached ? chalk.gray('  cached') : row.skipped ? chalk.gray(`  ${row.skipped}`) : '';
+    return `${row.path.padEnd(pathWidth)}  ${String(row.requests).padStart(8)}  ${formatTokens(row.inputTokens).padStart(12)}  ${formatCost(row.cost).padStart(9)}${note}`;
+  });
+  const pricing = estimate.pricing
+    ? `${formatCost(estimate.pricing.input)} / ${formatCost(estimate.pricing.output)} per million input / output tokens`
+    : 'unknown; set "pricing" in .lucai.json';
+  // Profiles with their own models have no single pricing to show
+  const model = estimate.pricing === undefined ? estimate.model : `${estimate.model} (${pricing})`;
+  return [
+    chalk.bold(header),
+    ...lines,
+    '',
+    `${chalk.bold('Total:')} ${estimate.requests} request(s), ${formatTokens(estimate.inputTokens)} input tokens, ~${formatTokens(estimate.outputTokens)} output tokens`,
+    `${chalk.bold('Expected cost:')} ${formatCost(estimate.cost)} with ${model}`,
+    chalk.gray(`Output is assumed at ${formatTokens(ESTIMATED_OUTPUT_TOKENS)} tokens per request; cached files cost nothing.`),
+  ].join('\n');
+}
+
+/**
+ * Formats the usage of a finished review in one line.
+ * @param {{requests: number, inputTokens: number, outputTokens: number, cost?: number}} usage - The usage of the review.
+ * @returns {string}
+ */
+function formatUsage(usage) {
+  const cost = usage.cost !== undefined ? `, ${formatCost(usage.cost)}` : '';
+  return `${usage.requests} request(s), ${formatTokens(usage.inputTokens)} input and ${formatTokens(usage.outputTokens)} output tokens${cost}`;
+}
+
+module.exports = {
+  ESTIMATED_OUTPUT_TOKENS,
+  createUsage,
+  addUsage,
+  computeCost,
+  createBudget,
+  checkEstimate,
+  formatEstimate,
+  formatUsage,
+};
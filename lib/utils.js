@@ -1,6 +1,94 @@
 // lib/utils.js
 // Shared utility functions for lucai Cli
 
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs an async worker over every item with at most `limit` calls in flight.
+ * Results keep the order of the input items.
+ * @param {Array} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent workers.
+ * @param {function(*, number): Promise<*>} worker - Called with each item and its index.
+ * @returns {Promise<Array>} The worker results, in input order.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const poolSize = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: poolSize }, runNext));
+  return results;
+}
+
+/**
+ * Whether an error from a provider is worth retrying: rate limits (429),
+ * server errors (5xx) and dropped connections.
+ * @param {Error} error - The error thrown by the provider.
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const status = error && error.status;
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+  const code = error && (error.code || (error.cause && error.cause.code));
+  return RETRYABLE_ERROR_CODES.includes(code);
+}
+
+/**
+ * Reads a Retry-After header (in seconds) off a provider error, if there is one.
+ * @param {Error} error - The error thrown by the provider.
+ * @returns {number|null} The delay in milliseconds.
+ */
+function getRetryAfter(error) {
+  const headers = error && error.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = Number(value);
+  return value && !Number.isNaN(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Calls `fn` until it succeeds, backing off exponentially with full jitter
+ * between attempts. Non-retryable errors are thrown straight away.
+ * @param {function(number): Promise<*>} fn - The call to make, given the attempt number.
+ * @param {object} [options]
+ * @param {number} [options.retries=3] - How many times to retry after the first attempt.
+ * @param {number} [options.baseDelay=1000] - The initial backoff in milliseconds.
+ * @param {number} [options.maxDelay=30000] - The backoff ceiling in milliseconds.
+ * @param {function(Error, number, number): void} [options.onRetry] - Called before each retry with the error, attempt and delay.
+ * @returns {Promise<*>} The result of `fn`.
+ */
+async function withRetry(fn, options = {}) {
+  const { retries = 3, baseDelay = 1000, maxDelay = 30000, onRetry = () => {} } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+      const delay = getRetryAfter(error) || Math.round(Math.random() * backoff);
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
 module.exports = {
-  // Placeholder for future utility functions
-}; 
\ No newline at end of file
+  runWithConcurrency,
+  isRetryableError,
+  withRetry,
+  sleep,
+};